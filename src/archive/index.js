@@ -0,0 +1,159 @@
+import { readFile, writeFile, mkdir, copyFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { basename, dirname, resolve } from 'path';
+import { parseArgs } from 'util';
+import { loadSchemaIR } from '../ir/index.js';
+import { loadSchemaRoot } from '../compilers/index.js';
+import { createConsoleLogger } from '../logger/index.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const DEFAULT_ARCHIVE_DIR = resolve(projectRoot, 'archive');
+const INDEX_FILE = 'index.json';
+const METADATA_FILE = 'metadata.json';
+
+/**
+ * Reads the archive index
+ * @param {string} archiveDir - Archive directory
+ * @returns {Promise<Object>} Archive index
+ */
+async function readArchiveIndex(archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const indexPath = resolve(archiveDir, INDEX_FILE);
+
+  if (!existsSync(indexPath)) {
+    return { versions: [] };
+  }
+
+  return JSON.parse(await readFile(indexPath, 'utf8'));
+}
+
+/**
+ * Lists archived versions, oldest client revision first
+ * @param {string} archiveDir - Archive directory
+ * @returns {Promise<Object[]>} Index entries
+ */
+async function listArchivedVersions(archiveDir = DEFAULT_ARCHIVE_DIR) {
+  return (await readArchiveIndex(archiveDir)).versions;
+}
+
+/**
+ * Stores a schema, its IR and metadata under the archive directory of its version
+ * and records it in the archive index. A version already archived with the same
+ * bundle hash is left untouched.
+ * @param {Object} entry - Archive entry
+ * @param {string} entry.version - WhatsApp version, e.g. `2.3000.1026752675`
+ * @param {string[]} entry.files - Generated `.proto` and IR files to store
+ * @param {Object} entry.metadata - Extraction metadata (client revision, bundle URL, bundle hash, ...)
+ * @param {string} archiveDir - Archive directory
+ * @param {Object} logger - Logger, see `src/logger/index.js`
+ * @returns {Promise<string>} Directory of the archived version
+ */
+async function archiveSchema({ version, files, metadata }, archiveDir = DEFAULT_ARCHIVE_DIR, logger = createConsoleLogger()) {
+  const index = await readArchiveIndex(archiveDir);
+  const versionDir = resolve(archiveDir, version);
+  const existing = index.versions.find(v => v.version === version);
+
+  if (existing && existing.bundleHash === metadata.bundleHash) {
+    logger.info(`🗄️  Version ${version} already archived`);
+    return versionDir;
+  }
+
+  await mkdir(versionDir, { recursive: true });
+  for (const file of files) {
+    await copyFile(file, resolve(versionDir, basename(file)));
+  }
+
+  const fullMetadata = { version, ...metadata, files: files.map(file => basename(file)) };
+  await writeFile(resolve(versionDir, METADATA_FILE), JSON.stringify(fullMetadata, null, 2), 'utf8');
+
+  const entry = {
+    version,
+    clientRevision: metadata.clientRevision,
+    bundleURL: metadata.bundleURL,
+    bundleHash: metadata.bundleHash,
+    entities: metadata.entities,
+    path: version
+  };
+
+  index.versions = index.versions.filter(v => v.version !== version).concat(entry);
+  index.versions.sort((a, b) => a.clientRevision - b.clientRevision);
+  await writeFile(resolve(archiveDir, INDEX_FILE), JSON.stringify(index, null, 2), 'utf8');
+
+  logger.info(`🗄️  Archived version ${version} in ${versionDir}`);
+  return versionDir;
+}
+
+/**
+ * Finds the index entry of a version
+ * @param {Object[]} versions - Index entries
+ * @param {string|number} version - Full version, client revision or 'latest'
+ * @returns {Object|undefined} Index entry
+ */
+function findArchivedVersion(versions, version) {
+  if (version === 'latest') {
+    return versions[versions.length - 1];
+  }
+
+  return versions.find(v => v.version === String(version) || String(v.clientRevision) === String(version));
+}
+
+/**
+ * Loads the archived schema of a WhatsApp version
+ * @param {string|number} version - Full version, client revision or 'latest'
+ * @param {string} archiveDir - Archive directory
+ * @returns {Promise<Object>} `metadata`, `ir` (when archived) and a protobufjs `root`
+ *   able to decode payloads of that version, loaded like the current schema (see `loadSchemaRoot`)
+ */
+async function loadArchivedSchema(version, archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const entry = findArchivedVersion(await listArchivedVersions(archiveDir), version);
+
+  if (!entry) {
+    throw new Error(`WhatsApp version ${version} is not archived in ${archiveDir}`);
+  }
+
+  const versionDir = resolve(archiveDir, entry.path);
+  const metadata = JSON.parse(await readFile(resolve(versionDir, METADATA_FILE), 'utf8'));
+  const protoFile = metadata.protoFile || metadata.files.find(file => file.endsWith('.proto'));
+  const irFile = metadata.files.find(file => file.endsWith('.ir.json'));
+
+  const root = loadSchemaRoot(resolve(versionDir, protoFile));
+  root.resolveAll();
+
+  return {
+    metadata,
+    ir: irFile ? await loadSchemaIR(resolve(versionDir, irFile)) : null,
+    root
+  };
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: 'string', default: DEFAULT_ARCHIVE_DIR }
+    }
+  });
+
+  listArchivedVersions(values.dir)
+    .then(versions => {
+      if (versions.length === 0) {
+        console.log('No archived versions');
+      }
+      for (const v of versions) {
+        console.log(`${v.version}  ${v.entities} entities  ${v.bundleHash}`);
+      }
+    })
+    .catch(error => {
+      console.error('💥 Listing failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export {
+  DEFAULT_ARCHIVE_DIR,
+  readArchiveIndex,
+  listArchivedVersions,
+  archiveSchema,
+  loadArchivedSchema
+};
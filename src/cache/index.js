@@ -0,0 +1,252 @@
+import { readFile, readdir, writeFile, mkdir, rename, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const DEFAULT_CACHE_DIR = resolve(projectRoot, '.cache');
+const DOWNLOADS_DIR = 'downloads';
+const BUILD_STATE_FILE = 'build-state.json';
+
+// Downloads unused for 30 days are dropped, and the least recently used ones beyond 500 MB
+const DEFAULT_CACHE_LIMITS = {
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+  maxSize: 500 * 1024 * 1024
+};
+
+/**
+ * Hashes content the way bundles are identified everywhere, e.g. `sha256-<hex>`
+ * @param {string|Buffer} content - Content
+ * @returns {string} Content hash
+ */
+const hashContent = (content) => `sha256-${createHash('sha256').update(content).digest('hex')}`;
+
+/**
+ * Hashes a file, resolving to null when it does not exist
+ * @param {string} path - File path
+ * @returns {Promise<string|null>} Content hash
+ */
+async function hashFile(path) {
+  return existsSync(path) ? hashContent(await readFile(path)) : null;
+}
+
+/**
+ * Reads a JSON file, resolving to a fallback when it does not exist
+ * @param {string} path - File path
+ * @param {Object} fallback - Value used when the file is missing
+ * @returns {Promise<Object>} Parsed content
+ */
+async function readJSON(path, fallback) {
+  return existsSync(path) ? JSON.parse(await readFile(path, 'utf8')) : fallback;
+}
+
+/**
+ * Writes a JSON file atomically so an interrupted build never leaves it truncated
+ * @param {string} path - File path
+ * @param {Object} value - Content
+ */
+async function writeJSON(path, value) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(`${path}.tmp`, JSON.stringify(value, null, 2), 'utf8');
+  await rename(`${path}.tmp`, path);
+}
+
+/**
+ * Creates a content-addressed cache of downloaded scripts. Contents are stored once
+ * under their hash, and an index maps every URL to the hash of its content and
+ * the time it was last used, so `prune` can keep the cache within its limits.
+ * @param {string} cacheDir - Cache directory
+ * @param {Object} limits - Cache limits, `DEFAULT_CACHE_LIMITS` by default
+ * @param {number|null} limits.maxAge - Milliseconds an unused URL is kept, null for no limit
+ * @param {number|null} limits.maxSize - Bytes of stored contents, null for no limit
+ * @returns {Object} Cache with `get(url)`, `put(url, content)` and `prune(logger)`
+ */
+function createDownloadCache(cacheDir = DEFAULT_CACHE_DIR, limits = DEFAULT_CACHE_LIMITS) {
+  const downloadsDir = resolve(cacheDir, DOWNLOADS_DIR);
+  const indexPath = resolve(downloadsDir, 'index.json');
+  const objectPath = (hash) => resolve(downloadsDir, 'objects', hash);
+  let indexPromise;
+
+  const loadIndex = () => {
+    indexPromise = indexPromise || readJSON(indexPath, { urls: {} });
+    return indexPromise;
+  };
+
+  return {
+    /**
+     * Resolves to the cached content of a URL, or null when it is not cached
+     * or its stored content no longer matches its hash
+     * @param {string} url - Script URL
+     * @returns {Promise<string|null>} Content
+     */
+    async get(url) {
+      const entry = (await loadIndex()).urls[url];
+      if (!entry || !existsSync(objectPath(entry.hash))) {
+        return null;
+      }
+
+      const content = await readFile(objectPath(entry.hash), 'utf8');
+      if (hashContent(content) !== entry.hash) {
+        return null;
+      }
+
+      // Recorded on the next write of the index
+      entry.usedAt = Date.now();
+      return content;
+    },
+
+    /**
+     * Stores the content of a URL
+     * @param {string} url - Script URL
+     * @param {string} content - Content
+     * @returns {Promise<string>} Content hash
+     */
+    async put(url, content) {
+      const hash = hashContent(content);
+      const index = await loadIndex();
+
+      if (!existsSync(objectPath(hash))) {
+        await mkdir(dirname(objectPath(hash)), { recursive: true });
+        await writeFile(objectPath(hash), content, 'utf8');
+      }
+
+      index.urls[url] = { hash, size: Buffer.byteLength(content), usedAt: Date.now() };
+      await writeJSON(indexPath, index);
+      return hash;
+    },
+
+    /**
+     * Drops the URLs unused for longer than `maxAge`, then the least recently used
+     * ones until the contents fit in `maxSize`, and deletes the contents no URL refers to
+     * @param {Object} logger - Logger
+     * @returns {Promise<number>} Number of deleted contents
+     */
+    async prune(logger) {
+      const index = await loadIndex();
+      const now = Date.now();
+      // Entries written before usage was recorded count as used now
+      const usedAt = (entry) => entry.usedAt ?? now;
+      const entries = Object.entries(index.urls).sort(([, a], [, b]) => usedAt(b) - usedAt(a));
+
+      const keptURLs = new Set();
+      const keptHashes = new Set();
+      let size = 0;
+      for (const [url, entry] of entries) {
+        const expired = limits.maxAge != null && now - usedAt(entry) > limits.maxAge;
+        const added = keptHashes.has(entry.hash) ? 0 : entry.size;
+        if (expired || (limits.maxSize != null && size + added > limits.maxSize)) continue;
+
+        keptURLs.add(url);
+        keptHashes.add(entry.hash);
+        size += added;
+      }
+
+      // Contents replaced under a URL are left behind by `put`, so every stored content is checked
+      const objectsDir = dirname(objectPath('-'));
+      const stored = existsSync(objectsDir) ? await readdir(objectsDir) : [];
+      const stale = stored.filter(hash => !keptHashes.has(hash));
+      for (const hash of stale) {
+        await rm(objectPath(hash), { force: true });
+      }
+
+      index.urls = Object.fromEntries(entries.filter(([url]) => keptURLs.has(url)));
+      await writeJSON(indexPath, index);
+
+      if (stale.length) {
+        logger?.info(`🧹 Pruned ${stale.length} cached download(s), ${size} bytes kept`);
+      }
+      return stale.length;
+    }
+  };
+}
+
+/**
+ * Wraps a source so scripts are served from the download cache when possible.
+ * The service worker is always fetched, since it announces new client revisions;
+ * script URLs are versioned by WhatsApp, so their content never changes.
+ * @param {Object} source - Source, see `src/sources/index.js`
+ * @param {Object} cache - Download cache, see `createDownloadCache`
+ * @returns {Object} Caching source
+ */
+function createCachingSource(source, cache) {
+  return {
+    ...source,
+    describe: () => `${source.describe()} (cached)`,
+    getScript: async (url, options) => {
+      const cached = await cache.get(url);
+      if (cached !== null) {
+        return cached;
+      }
+
+      const content = await source.getScript(url, options);
+      await cache.put(url, content);
+      return content;
+    }
+  };
+}
+
+/**
+ * Reads the state recorded by the last successful build step
+ * @param {string} key - Build step, e.g. the output path of an extraction
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<Object|null>} Recorded state
+ */
+async function readBuildState(key, cacheDir = DEFAULT_CACHE_DIR) {
+  const states = await readJSON(resolve(cacheDir, BUILD_STATE_FILE), {});
+  return states[key] ?? null;
+}
+
+/**
+ * Records the state of a successful build step
+ * @param {string} key - Build step
+ * @param {Object} state - State to compare the next build against
+ * @param {string} cacheDir - Cache directory
+ */
+async function writeBuildState(key, state, cacheDir = DEFAULT_CACHE_DIR) {
+  const statePath = resolve(cacheDir, BUILD_STATE_FILE);
+  const states = await readJSON(statePath, {});
+  states[key] = state;
+  await writeJSON(statePath, states);
+}
+
+/**
+ * Hashes files so a later build can tell whether they are still untouched
+ * @param {string[]} files - File paths
+ * @returns {Promise<Object>} Hash of every file by path
+ */
+async function hashFiles(files) {
+  const hashes = {};
+  for (const file of files) {
+    hashes[file] = await hashFile(file);
+  }
+  return hashes;
+}
+
+/**
+ * Checks whether recorded output files still exist with the content they were written with
+ * @param {Object} outputs - Hash of every file by path, see `hashFiles`
+ * @returns {Promise<boolean>} Whether all outputs are unchanged
+ */
+async function outputsUnchanged(outputs = {}) {
+  for (const [file, hash] of Object.entries(outputs)) {
+    if (await hashFile(file) !== hash) {
+      return false;
+    }
+  }
+  return Object.keys(outputs).length > 0;
+}
+
+export {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_CACHE_LIMITS,
+  hashContent,
+  hashFile,
+  hashFiles,
+  outputsUnchanged,
+  createDownloadCache,
+  createCachingSource,
+  readBuildState,
+  writeBuildState
+};
@@ -0,0 +1,360 @@
+import protobuf from 'protobufjs';
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { parseArgs } from 'util';
+import { loadSchemaRoot } from '../compilers/index.js';
+import { loadArchivedSchema } from '../archive/index.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const DEFAULT_PROTO_PATH = resolve(projectRoot, 'proto/whatsapp.proto');
+
+const WIRE_TYPES = {
+  VARINT: 0,
+  I64: 1,
+  LEN: 2,
+  SGROUP: 3,
+  EGROUP: 4,
+  I32: 5
+};
+
+/**
+ * Loads the protobufjs root used for decoding and encoding
+ * @param {Object} options - Schema options
+ * @param {string} options.version - Archived WhatsApp version to use instead of the current schema
+ * @param {string} options.protoPath - Path to a .proto file, defaults to `proto/whatsapp.proto`
+ * @returns {Promise<Object>} Resolved protobufjs root
+ */
+async function loadCodecRoot({ version, protoPath } = {}) {
+  if (version) {
+    return (await loadArchivedSchema(version)).root;
+  }
+
+  const root = loadSchemaRoot(protoPath || DEFAULT_PROTO_PATH);
+  root.resolveAll();
+  return root;
+}
+
+/**
+ * Looks up a message type, accepting names with or without the `proto.` package
+ * @param {Object} root - protobufjs root
+ * @param {string} typeName - Type name, e.g. `proto.WebMessageInfo` or `WebMessageInfo`
+ * @returns {Object} protobufjs type
+ */
+function lookupMessageType(root, typeName) {
+  const type = root.lookup(typeName) || root.lookup(`proto.${typeName}`);
+
+  if (!(type instanceof protobuf.Type)) {
+    throw new Error(`Unknown message type: ${typeName}`);
+  }
+  return type;
+}
+
+/**
+ * Turns hex, base64 or raw binary input into bytes
+ * @param {Buffer|Uint8Array|string} input - Payload
+ * @param {string} encoding - 'hex', 'base64', 'binary' or 'auto'
+ * @returns {Buffer} Payload bytes
+ */
+function parsePayloadInput(input, encoding = 'auto') {
+  if (typeof input !== 'string') {
+    return Buffer.from(input);
+  }
+
+  const text = input.trim();
+  if (encoding === 'auto') {
+    const compact = text.replace(/\s+/g, '');
+    encoding = /^([0-9a-f]{2})*$/i.test(compact) ? 'hex' : 'base64';
+  }
+
+  switch (encoding) {
+    case 'hex':
+      return Buffer.from(text.replace(/\s+/g, ''), 'hex');
+    case 'base64':
+      return Buffer.from(text, 'base64');
+    case 'binary':
+      return Buffer.from(text, 'binary');
+    default:
+      throw new Error(`Unsupported input encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Reads the top-level fields of a protobuf payload without a schema
+ * @param {Uint8Array} bytes - Payload
+ * @returns {Object[]} Fields with `fieldNumber`, `wireType`, `offset` and their raw `value`
+ *   (decimal string for varints and fixed values, bytes for length-delimited and groups)
+ */
+function scanWireFields(bytes) {
+  const reader = protobuf.Reader.create(bytes);
+  const fields = [];
+
+  while (reader.pos < reader.len) {
+    const offset = reader.pos;
+    const tag = reader.uint32();
+    const fieldNumber = tag >>> 3;
+    const wireType = tag & 7;
+    let value;
+
+    if (fieldNumber === 0) {
+      throw new Error(`Invalid field number 0 at offset ${offset}`);
+    }
+
+    switch (wireType) {
+      case WIRE_TYPES.VARINT:
+        value = reader.uint64().toString();
+        break;
+      case WIRE_TYPES.I64:
+        value = reader.fixed64().toString();
+        break;
+      case WIRE_TYPES.LEN:
+        value = reader.bytes();
+        break;
+      case WIRE_TYPES.I32:
+        value = String(reader.fixed32());
+        break;
+      case WIRE_TYPES.SGROUP: {
+        const start = reader.pos;
+        reader.skipType(WIRE_TYPES.SGROUP);
+        value = reader.buf.slice(start, reader.pos);
+        break;
+      }
+      default:
+        throw new Error(`Invalid wire type ${wireType} at offset ${offset}`);
+    }
+
+    fields.push({ fieldNumber, wireType, offset, length: reader.pos - offset, value });
+  }
+
+  return fields;
+}
+
+/**
+ * Collects fields of a payload the schema does not know about, recursing into known sub-messages
+ * @param {Object} type - protobufjs type
+ * @param {Uint8Array} bytes - Payload of that type
+ * @param {string} path - Path of the payload within the root message
+ * @returns {Object[]} Unknown fields with `path`, `fieldNumber`, `wireType` and `length`
+ */
+function findUnknownFields(type, bytes, path = '') {
+  const unknown = [];
+
+  for (const wireField of scanWireFields(bytes)) {
+    const field = type.fieldsById[wireField.fieldNumber];
+    const fieldPath = `${path}${path ? '.' : ''}${field ? field.name : wireField.fieldNumber}`;
+
+    if (!field) {
+      unknown.push({
+        path: fieldPath,
+        fieldNumber: wireField.fieldNumber,
+        wireType: wireField.wireType,
+        length: wireField.length
+      });
+      continue;
+    }
+
+    if (wireField.wireType !== WIRE_TYPES.LEN) continue;
+
+    if (field.map && field.resolvedType instanceof protobuf.Type) {
+      const entry = scanWireFields(wireField.value).find(f => f.fieldNumber === 2);
+      if (entry) unknown.push(...findUnknownFields(field.resolvedType, entry.value, fieldPath));
+    } else if (!field.map && field.resolvedType instanceof protobuf.Type) {
+      unknown.push(...findUnknownFields(field.resolvedType, wireField.value, fieldPath));
+    }
+  }
+
+  return unknown;
+}
+
+/**
+ * Converts every bytes value of a plain message object in place between base64 and hex
+ * @param {Object} type - protobufjs type
+ * @param {Object} object - Plain message object
+ * @param {Function} convert - Converts one bytes value
+ * @returns {Object} The same object
+ */
+function convertBytesFields(type, object, convert) {
+  for (const field of type.fieldsArray) {
+    const value = object?.[field.name];
+    if (value === undefined || value === null) continue;
+
+    const convertValue = (v) => {
+      if (field.type === 'bytes') return convert(v);
+      if (field.resolvedType instanceof protobuf.Type) return convertBytesFields(field.resolvedType, v, convert);
+      return v;
+    };
+
+    if (field.map) {
+      for (const key of Object.keys(value)) value[key] = convertValue(value[key]);
+    } else if (field.repeated) {
+      object[field.name] = value.map(convertValue);
+    } else {
+      object[field.name] = convertValue(value);
+    }
+  }
+  return object;
+}
+
+/**
+ * Checks a plain message object for fields and enum names the schema does not know,
+ * which `fromObject` would otherwise drop silently
+ * @param {Object} type - protobufjs type
+ * @param {Object} object - Plain message object
+ * @param {string} path - Path of the object within the root message
+ */
+function assertKnownFields(type, object, path = type.name) {
+  for (const [key, value] of Object.entries(object)) {
+    const field = type.fields[key];
+    const fieldPath = `${path}.${key}`;
+
+    if (!field) {
+      if (type.oneofs?.[key]) continue; // Virtual oneof discriminator from toObject
+      throw new Error(`Unknown field ${fieldPath}`);
+    }
+    if (value === null || value === undefined) continue;
+
+    const values = field.map ? Object.values(value) : field.repeated ? value : [value];
+    for (const v of values) {
+      if (field.resolvedType instanceof protobuf.Enum && typeof v === 'string' && !(v in field.resolvedType.values)) {
+        throw new Error(`Unknown ${field.resolvedType.name} value "${v}" for ${fieldPath}`);
+      }
+      if (field.resolvedType instanceof protobuf.Type && typeof v === 'object') {
+        assertKnownFields(field.resolvedType, v, fieldPath);
+      }
+    }
+  }
+}
+
+/**
+ * Decodes a payload into a JSON-friendly object
+ * @param {Object} root - protobufjs root, see `loadCodecRoot`
+ * @param {string} typeName - Message type name
+ * @param {Buffer|Uint8Array|string} input - Payload as bytes, hex or base64
+ * @param {Object} options - Decoding options
+ * @param {string} options.inputEncoding - 'hex', 'base64', 'binary' or 'auto'
+ * @param {string} options.bytes - Output of bytes fields, 'base64' or 'hex'
+ * @param {string} options.longs - Output of 64-bit integers, 'string' or 'number'
+ * @param {string} options.enums - Output of enum values, 'name' or 'number'
+ * @param {boolean} options.defaults - Include fields set to their default value
+ * @returns {Object} `message` as a plain object and the `unknownFields` of the payload
+ */
+function decodePayload(root, typeName, input, options = {}) {
+  const type = lookupMessageType(root, typeName);
+  const bytes = parsePayloadInput(input, options.inputEncoding);
+
+  const message = type.toObject(type.decode(bytes), {
+    longs: options.longs === 'number' ? Number : String,
+    enums: options.enums === 'number' ? Number : String,
+    bytes: String,
+    defaults: Boolean(options.defaults),
+    oneofs: true
+  });
+
+  if (options.bytes === 'hex') {
+    convertBytesFields(type, message, v => Buffer.from(v, 'base64').toString('hex'));
+  }
+
+  return {
+    type: type.fullName.slice(1),
+    message,
+    unknownFields: findUnknownFields(type, bytes)
+  };
+}
+
+/**
+ * Encodes a JSON-friendly object into a payload
+ * @param {Object} root - protobufjs root, see `loadCodecRoot`
+ * @param {string} typeName - Message type name
+ * @param {Object|string} json - Plain object or its JSON text; enums may be names,
+ *   64-bit integers strings and bytes base64 (or hex with `options.bytes`)
+ * @param {Object} options - Encoding options
+ * @param {string} options.bytes - Input format of bytes fields, 'base64' or 'hex'
+ * @returns {Buffer} Encoded payload
+ */
+function encodePayload(root, typeName, json, options = {}) {
+  const type = lookupMessageType(root, typeName);
+  const object = typeof json === 'string' ? JSON.parse(json) : structuredClone(json);
+
+  if (options.bytes === 'hex') {
+    convertBytesFields(type, object, v => typeof v === 'string' ? Buffer.from(v, 'hex') : v);
+  }
+
+  assertKnownFields(type, object);
+  const message = type.fromObject(object);
+
+  return Buffer.from(type.encode(message).finish());
+}
+
+/**
+ * Formats an encoded payload
+ * @param {Buffer} bytes - Payload
+ * @param {string} format - 'hex', 'base64' or 'binary'
+ * @returns {Buffer|string} Formatted payload
+ */
+const formatPayload = (bytes, format = 'hex') => format === 'binary' ? bytes : bytes.toString(format);
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      hex: { type: 'string' },
+      base64: { type: 'string' },
+      json: { type: 'string' },
+      file: { type: 'string', short: 'f' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', default: 'hex' },
+      version: { type: 'string' },
+      proto: { type: 'string' },
+      bytes: { type: 'string', default: 'base64' },
+      longs: { type: 'string', default: 'string' },
+      enums: { type: 'string', default: 'name' },
+      defaults: { type: 'boolean', default: false }
+    }
+  });
+
+  const [command, typeName] = positionals;
+
+  const run = async () => {
+    if (!['decode', 'encode'].includes(command) || !typeName) {
+      throw new Error(
+        'Usage: node src/codec/index.js decode <type> (--hex <hex> | --base64 <b64> | --file <bin>)\n' +
+        '       node src/codec/index.js encode <type> (--json <json> | --file <json>) [--format hex|base64|binary]'
+      );
+    }
+
+    const root = await loadCodecRoot({ version: values.version, protoPath: values.proto });
+
+    if (command === 'decode') {
+      const input = values.hex ?? values.base64 ?? await readFile(values.file);
+      const inputEncoding = values.hex !== undefined ? 'hex' : values.base64 !== undefined ? 'base64' : 'binary';
+      const result = decodePayload(root, typeName, input, { ...values, inputEncoding });
+      const output = JSON.stringify(result, null, 2);
+      return values.output ? writeFile(values.output, output, 'utf8') : console.log(output);
+    }
+
+    const json = values.json ?? await readFile(values.file, 'utf8');
+    const payload = formatPayload(encodePayload(root, typeName, json, values), values.format);
+    return values.output ? writeFile(values.output, payload) : process.stdout.write(
+      values.format === 'binary' ? payload : `${payload}\n`
+    );
+  };
+
+  run().catch(error => {
+    console.error('💥', error.message);
+    process.exit(1);
+  });
+}
+
+export {
+  WIRE_TYPES,
+  loadCodecRoot,
+  lookupMessageType,
+  parsePayloadInput,
+  scanWireFields,
+  findUnknownFields,
+  decodePayload,
+  encodePayload,
+  formatPayload
+};
@@ -1,55 +1,502 @@
 import { execSync } from 'child_process';
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, copyFileSync, cpSync, readdirSync, rmSync, statSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import { basename, dirname, join, relative, resolve, sep } from 'path';
+import protobuf from 'protobufjs';
+import descriptor from 'protobufjs/ext/descriptor/index.js';
+import { hashContent, hashFiles, outputsUnchanged, readBuildState, writeBuildState } from '../cache/index.js';
+import { resolveLogger } from '../logger/index.js';
+import { loadSchemaIR } from '../ir/index.js';
+import { generateTypings } from '../typings/index.js';
 
 const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
 
-async function compileProtobuf() {
-  try {
-    if (!existsSync(resolve(projectRoot, 'proto/whatsapp.proto'))) {
-      throw new Error('whatsapp.proto file not found');
+const DEFAULT_PROTO_PATH = resolve(projectRoot, 'proto/whatsapp.proto');
+const DEFAULT_OUT_DIR = resolve(projectRoot, 'dist');
+const DEFAULT_VERSION_FILE = resolve(projectRoot, 'data/whatsapp_version.json');
+
+// Representations of 64-bit integers in the static module, see `compileProtobuf`
+const INT64_MODES = ['long', 'bigint', 'string'];
+
+// pbjs wrappers of the builds, by int64 mode. protobufjs/minimal is CommonJS, so only its
+// default export is reliable in the ES module build
+const WRAPPERS = {
+  long: {
+    esm: fileURLToPath(new URL('./wrappers/esm.js', import.meta.url)),
+    cjs: 'commonjs'
+  },
+  native: {
+    esm: fileURLToPath(new URL('./wrappers/esm-int64.js', import.meta.url)),
+    cjs: fileURLToPath(new URL('./wrappers/commonjs-int64.js', import.meta.url))
+  }
+};
+
+// Runtime modules of the package, copied to the output directory as they are
+const RUNTIME_DIR = fileURLToPath(new URL('./runtime', import.meta.url));
+const RUNTIME_FILES = readdirSync(RUNTIME_DIR, { recursive: true })
+  .filter(file => statSync(join(RUNTIME_DIR, file)).isFile())
+  .sort();
+
+// Sources the compiled output depends on, besides the schema
+const COMPILER_SOURCES = [
+  fileURLToPath(import.meta.url),
+  WRAPPERS.long.esm,
+  WRAPPERS.native.esm,
+  WRAPPERS.native.cjs,
+  fileURLToPath(new URL('../typings/index.js', import.meta.url)),
+  ...RUNTIME_FILES.map(file => join(RUNTIME_DIR, file))
+];
+
+// Characters of the single-character escapes of proto string literals
+const PROTO_STRING_UNESCAPES = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+/**
+ * Resolves the input and output paths of a compilation
+ * @param {Object} options - Compile options, see `compileProtobuf`
+ * @returns {Object} `protoPath`, `irPath`, `jsonSchemaPath`, `outDir` and the `outputs` it produces
+ */
+function resolveCompilePaths(options = {}) {
+  const protoPath = resolve(options.protoPath || DEFAULT_PROTO_PATH);
+  const outDir = resolve(options.outDir || DEFAULT_OUT_DIR);
+
+  return {
+    protoPath,
+    irPath: protoPath.replace(/\.proto$/, '.ir.json'),
+    jsonSchemaPath: protoPath.replace(/\.proto$/, '.schema.json'),
+    versionFile: options.versionFile === null ? null : resolve(options.versionFile || DEFAULT_VERSION_FILE),
+    outDir,
+    outputs: {
+      js: resolve(outDir, 'index.js'),
+      cjs: resolve(outDir, 'index.cjs'),
+      dts: resolve(outDir, 'index.d.ts'),
+      dcts: resolve(outDir, 'index.d.cts'),
+      types: resolve(outDir, 'types.d.ts'),
+      json: resolve(outDir, 'whatsapp.json'),
+      descriptor: resolve(outDir, 'whatsapp.desc'),
+      ir: resolve(outDir, 'whatsapp.ir.json'),
+      jsonSchema: resolve(outDir, 'whatsapp.schema.json'),
+      version: resolve(outDir, 'whatsapp_version.json'),
+      int64: resolve(outDir, 'int64.json'),
+      runtime: RUNTIME_FILES.map(file => resolve(outDir, file))
     }
+  };
+}
 
-    console.log('🔄 Generating JavaScript code...');
-    execSync(`yarn pbjs -t static-module -w es6 --no-bundle -o ${resolve(projectRoot, 'dist/index.js')} ${resolve(projectRoot, 'proto/whatsapp.proto')}`, {
-      stdio: 'inherit'
+/**
+ * Fingerprints the compiler inputs: the schema (its IR covers split files too) and the compiler itself
+ * @param {Object} options - Compile options
+ * @returns {Promise<Object>} Fingerprint
+ */
+async function getCompileFingerprint(options = {}) {
+  const { protoPath, irPath, jsonSchemaPath, versionFile } = resolveCompilePaths(options);
+  const inputs = await hashFiles([protoPath, irPath, jsonSchemaPath, versionFile, ...COMPILER_SOURCES].filter(Boolean));
+  return {
+    inputHash: hashContent(Object.values(inputs).join('\n')),
+    syntax: options.syntax ?? null,
+    int64: options.int64 ?? 'long'
+  };
+}
+
+/**
+ * Checks whether the compiled package is up to date with the current schema
+ * @param {Object} options - Compile options, see `compileProtobuf`
+ * @returns {Promise<boolean>} Whether compiling again would produce the same output
+ */
+async function isCompileUpToDate(options = {}) {
+  const lastCompile = await readBuildState(`compile:${resolveCompilePaths(options).outDir}`, options.cacheDir);
+  if (!lastCompile) {
+    return false;
+  }
+
+  const fingerprint = await getCompileFingerprint(options);
+  return Object.entries(fingerprint).every(([key, value]) => lastCompile[key] === value) &&
+    await outputsUnchanged(lastCompile.outputs);
+}
+
+/**
+ * Reads the syntax declared by a proto file
+ * @param {string} content - Proto file content
+ * @returns {string} Declared syntax, proto2 when none is declared
+ */
+function detectProtoSyntax(content) {
+  return content.match(/^\s*syntax\s*=\s*["'](proto[23])["']\s*;/m)?.[1] || 'proto2';
+}
+
+/**
+ * Unescapes a double-quoted proto string literal. Escapes stand for bytes, which are
+ * read as UTF-8 like the extractor writes both string and bytes defaults.
+ * @param {string} literal - Proto string literal
+ * @returns {string} Value
+ */
+function parseProtoString(literal) {
+  const bytes = Buffer.from(literal.slice(1, -1), 'utf8').toString('latin1')
+    .replace(/\\(x[\da-f]{1,2}|[0-7]{1,3}|.)/gi, (match, escape) => {
+      if (/^x/i.test(escape)) return String.fromCharCode(parseInt(escape.slice(1), 16));
+      if (/^[0-7]/.test(escape)) return String.fromCharCode(parseInt(escape, 8) & 0xff);
+      return PROTO_STRING_UNESCAPES[escape] ?? escape;
     });
 
-    console.log('🔄 Fixing imports...');
-    const filePath = resolve(projectRoot, 'dist/index.js');
-    let content = readFileSync(filePath, 'utf8');
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+/**
+ * Parses the value of a `// default = ...` annotation written by the extractor
+ * @param {string} literal - Proto literal
+ * @returns {*} Default value, enum defaults as their value name
+ */
+function parseDefaultLiteral(literal) {
+  if (literal.startsWith('"')) return parseProtoString(literal);
+  if (literal === 'true' || literal === 'false') return literal === 'true';
+  if (literal === 'nan') return NaN;
+  if (literal === 'inf' || literal === '-inf') return literal === 'inf' ? Infinity : -Infinity;
+  if (/^-?[\d.]+(e[+-]?\d+)?$/i.test(literal)) return Number(literal);
+  return literal;
+}
+
+/**
+ * Loads the schema with protobufjs and turns proto3 default annotations
+ * into field `default` options, so they reach the generated runtime defaults
+ * @param {string} protoPath - Path to the .proto file
+ * @returns {Object} protobufjs root
+ */
+function loadSchemaRoot(protoPath) {
+  // Loading by path follows the imports of a multi-file schema
+  const root = new protobuf.Root().loadSync(protoPath, { alternateCommentMode: true });
+
+  const visit = (namespace) => {
+    for (const nested of namespace.nestedArray) {
+      if (nested instanceof protobuf.Type) {
+        for (const field of nested.fieldsArray) {
+          const literal = field.comment?.match(/^default = (.+)$/)?.[1];
+          if (literal !== undefined && field.getOption('default') === undefined) {
+            field.setOption('default', parseDefaultLiteral(literal.trim()));
+          }
+        }
+      }
+      if (nested.nestedArray) visit(nested);
+    }
+  };
+
+  visit(root);
+  return root;
+}
+
+/**
+ * Returns the name protoc gives the entry message of a map field, e.g. `labels` -> `LabelsEntry`
+ * @param {string} fieldName - Map field name
+ * @returns {string} Entry message name
+ */
+const getMapEntryName = (fieldName) =>
+  `${fieldName.replace(/(?:^|_)(.)/g, (match, char) => char.toUpperCase())}Entry`;
+
+/**
+ * Rewrites message descriptors the way protoc writes them. protobufjs leaves type
+ * references relative and names map entries after their field, which may clash with
+ * a nested message of the same name.
+ * @param {Object[]} messages - Message descriptors
+ * @param {Object} namespace - protobufjs namespace the messages belong to
+ */
+function normalizeMessageDescriptors(messages, namespace) {
+  for (const message of messages) {
+    const type = namespace.get(message.name);
+    const entries = message.nestedType.filter(nested => nested.options?.mapEntry);
+
+    for (const fieldDescriptor of message.field) {
+      const field = type.fields[fieldDescriptor.name];
+
+      if (field.map) {
+        const entry = entries.find(nested => nested.name === fieldDescriptor.typeName);
+        entry.name = getMapEntryName(field.name);
+        fieldDescriptor.typeName = `${type.fullName}.${entry.name}`;
+
+        const valueDescriptor = entry.field.find(entryField => entryField.name === 'value');
+        if (field.resolvedType) {
+          valueDescriptor.typeName = field.resolvedType.fullName;
+        }
+      } else if (field.resolvedType) {
+        fieldDescriptor.typeName = field.resolvedType.fullName;
+      }
+    }
+
+    normalizeMessageDescriptors(message.nestedType.filter(nested => !entries.includes(nested)), type);
+  }
+}
+
+/**
+ * Reads the imports of a .proto file
+ * @param {string} filePath - Path to the .proto file
+ * @returns {Object[]} Imported file names with their `public` modifier
+ */
+const readProtoImports = (filePath) => [...readFileSync(filePath, 'utf8').matchAll(/^import\s+(public\s+|weak\s+)?"([^"]+)";/gm)]
+  .map(([, modifier, name]) => ({ name, isPublic: modifier?.trim() === 'public' }));
+
+/**
+ * Serializes the schema as a binary `google.protobuf.FileDescriptorSet`. The schema is
+ * loaded as written: field names keep their case and proto3 default annotations,
+ * being comments, stay out of the descriptors. A split schema gets one file descriptor
+ * per .proto file with its imports, dependencies first, like protoc writes them.
+ * @param {string} protoPath - Path to the .proto file
+ * @param {string} syntax - Schema syntax
+ * @returns {Uint8Array} Encoded descriptor set
+ */
+function encodeDescriptorSet(protoPath, syntax) {
+  const root = new protobuf.Root().loadSync(protoPath, { keepCase: true }).resolveAll();
+  const baseDir = dirname(resolve(protoPath));
+  const merged = root.toDescriptor(syntax).file;
+
+  // protobufjs merges every file of the package, entities remember the file they come from
+  const files = new Map(root.files.map((filePath) => {
+    const imports = readProtoImports(filePath);
+    return [resolve(filePath), {
+      name: relative(baseDir, filePath).split(sep).join('/'),
+      package: merged[0]?.package,
+      dependency: imports.map(entry => entry.name),
+      publicDependency: imports.flatMap((entry, index) => (entry.isPublic ? [index] : [])),
+      messageType: [],
+      enumType: [],
+      options: merged[0]?.options,
+      syntax: merged[0]?.syntax
+    }];
+  }));
+
+  for (const file of merged) {
+    const namespace = file.package ? root.lookup(file.package) : root;
+    normalizeMessageDescriptors(file.messageType, namespace);
+
+    for (const kind of ['messageType', 'enumType']) {
+      for (const entity of file[kind]) {
+        files.get(resolve(namespace.get(entity.name).filename))[kind].push(entity);
+      }
+    }
+  }
+
+  // Dependencies come before the files importing them
+  const byName = new Map([...files.values()].map(file => [file.name, file]));
+  const visited = new Set();
+  const ordered = [];
+  const visit = (file) => {
+    if (!file || visited.has(file)) return;
+    visited.add(file);
+    file.dependency.forEach(name => visit(byName.get(name)));
+    ordered.push(file);
+  };
+  [...files.values()].forEach(visit);
+
+  return descriptor.FileDescriptorSet.encode({ file: ordered }).finish();
+}
+
+/**
+ * Collects the 64-bit integer fields of every message, for the int64 modes of the static module
+ * @param {Object} root - protobufjs root
+ * @returns {Object} `[name, unsigned, shape]` of the fields by fully qualified message name,
+ *   see `runtime/lib/int64.cjs`
+ */
+function collectInt64Fields(root) {
+  const types = {};
+
+  const visit = (namespace) => {
+    for (const nested of namespace.nestedArray) {
+      if (nested instanceof protobuf.Type) {
+        const fields = nested.fieldsArray
+          .filter(field => protobuf.types.long[field.type] !== undefined)
+          .map(field => [
+            field.name,
+            ['uint64', 'fixed64'].includes(field.type),
+            field.map ? 'map' : field.repeated ? 'repeated' : 'single'
+          ]);
+        if (fields.length) {
+          types[nested.fullName.slice(1)] = fields;
+        }
+      }
+      if (nested.nestedArray) visit(nested);
+    }
+  };
+
+  visit(root);
+  return types;
+}
+
+/**
+ * Declares the type of 64-bit integers in typings generated with `--force-long`, where
+ * `Long` stands for exactly the 64-bit fields
+ * @param {string} typings - pbts output
+ * @param {string} mode - Int64 mode other than 'long'
+ * @returns {string} Typings
+ */
+function declareInt64Type(typings, mode) {
+  const longImport = 'import Long = require("long");';
+  if (!typings.includes(longImport)) {
+    return typings;
+  }
+  return typings.replace(
+    longImport,
+    `/** 64-bit integers, as ${mode === 'bigint' ? 'BigInts' : 'decimal strings'} in this build */\n` +
+    `type Long = ${mode};`
+  );
+}
+
+/**
+ * Declares the default export of the ES module, its root, which pbts leaves out
+ * @param {string} typings - pbts output
+ * @returns {string} Typings
+ */
+function declareDefaultExport(typings) {
+  const namespaces = [...typings.matchAll(/^export namespace (\w+) \{/gm)].map(([, name]) => name);
+  return `${typings.trimEnd()}\n\n` +
+    '/** Root of the static module, holding its top-level namespaces */\n' +
+    `declare const $root: { ${namespaces.map(name => `${name}: typeof ${name};`).join(' ')} };\n` +
+    'export default $root;\n';
+}
+
+/**
+ * Runs a protobufjs CLI command, forwarding its output to the logger
+ * @param {string} command - Command line
+ * @param {Object} logger - Logger
+ */
+function runCommand(command, logger) {
+  const output = execSync(command, { cwd: projectRoot, stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8' });
+  if (output.trim()) {
+    logger.info(output.trim());
+  }
+}
+
+/**
+ * Compiles the extracted schema into the static module, as an ES module (`index.js`)
+ * and a CommonJS module (`index.cjs`) with their typings, along with the protobufjs
+ * JSON bundle, the binary FileDescriptorSet of the schema, the runtime modules such as the
+ * type registry, the JSON Schema of the extractor and, from the schema IR, the types of
+ * its plain objects (`types.d.ts`)
+ * @param {Object} options - Compilation options
+ * @param {string} options.syntax - Expected schema syntax, 'proto2' or 'proto3'.
+ *   Compilation fails when the schema was extracted with a different one.
+ * @param {string} options.protoPath - Schema to compile, `proto/whatsapp.proto` by default
+ * @param {string} options.outDir - Output directory, `dist` by default
+ * @param {string|null} options.versionFile - WhatsApp version file of the schema, exposed by
+ *   the type registry, `data/whatsapp_version.json` by default
+ * @param {string} options.int64 - Representation of 64-bit integers in decoded messages and
+ *   plain objects: 'long' (protobufjs `Long`, default), 'bigint' or 'string' (decimal)
+ * @param {string} options.cacheDir - Cache directory holding the state of the last compilation, `.cache` by default
+ * @param {Object|boolean} options.logger - Logger, see `src/logger/index.js`, false to log nothing
+ * @returns {Promise<Object>} Compilation result with the written `files` and its `duration` in milliseconds
+ */
+async function compileProtobuf(options = {}) {
+  const startTime = Date.now();
+  const logger = resolveLogger(options.logger);
+  const { protoPath, irPath, jsonSchemaPath, versionFile, outDir, outputs } = resolveCompilePaths(options);
+
+  try {
+    if (!existsSync(protoPath)) {
+      throw new Error(`${basename(protoPath)} file not found`);
+    }
+
+    const syntax = detectProtoSyntax(readFileSync(protoPath, 'utf8'));
+    if (options.syntax && options.syntax !== syntax) {
+      throw new Error(`${basename(protoPath)} declares ${syntax} but ${options.syntax} was requested`);
+    }
+    logger.info(`📄 Compiling ${syntax} schema...`);
+
+    mkdirSync(outDir, { recursive: true });
+
+    const int64 = options.int64 ?? 'long';
+    if (!INT64_MODES.includes(int64)) {
+      throw new Error(`Unsupported int64 mode ${int64}, expected one of ${INT64_MODES.join(', ')}`);
+    }
+
+    // The JSON bundle is shipped for reflection and is the input of the static module
+    logger.info('🔄 Generating JSON bundle...');
+    const root = loadSchemaRoot(protoPath);
+    writeFileSync(outputs.json, JSON.stringify(root.toJSON()), 'utf8');
+
+    logger.info('🔄 Generating FileDescriptorSet...');
+    writeFileSync(outputs.descriptor, encodeDescriptorSet(protoPath, syntax));
+
+    // The wrappers of the other int64 modes convert the fields listed in int64.json
+    const wrappers = int64 === 'long' ? WRAPPERS.long : WRAPPERS.native;
+    const longFlags = int64 === 'long' ? '' : '--force-long ';
+    if (int64 === 'long') {
+      rmSync(outputs.int64, { force: true });
+    } else {
+      logger.info(`🔢 Using ${int64} for 64-bit integers`);
+      writeFileSync(outputs.int64, JSON.stringify({ mode: int64, types: collectInt64Fields(root) }), 'utf8');
+    }
 
-    // Fix the import statement (from your working script)
-    content = content.replace(
-      /import \* as (\$protobuf) from/g,
-      'import $1 from'
+    // protobufjs has no exports map, ES modules need the file extension
+    logger.info('🔄 Generating ES module...');
+    runCommand(
+      `yarn --silent pbjs -t static-module --es6 ${longFlags}-w ${wrappers.esm} --dependency protobufjs/minimal.js ` +
+      `--no-bundle -o ${outputs.js} ${outputs.json}`,
+      logger
     );
 
-    // Add missing extension to the import (from your working script)
-    content = content.replace(
-      /(['"])protobufjs\/minimal(['"])/g,
-      '$1protobufjs/minimal.js$2'
+    logger.info('🔄 Generating CommonJS module...');
+    runCommand(
+      `yarn --silent pbjs -t static-module ${longFlags}-w ${wrappers.cjs} --dependency protobufjs/minimal ` +
+      `--no-bundle -o ${outputs.cjs} ${outputs.json}`,
+      logger
     );
 
-    writeFileSync(filePath, content, 'utf8');
-    console.log(`✅ Fixed imports in ${filePath}`);
+    // Both builds declare the same types, the ES module has its root as default export too
+    logger.info('🔄 Generating TypeScript definitions...');
+    runCommand(`yarn --silent pbts -o ${outputs.dts} ${outputs.js}`, logger);
+    if (int64 !== 'long') {
+      writeFileSync(outputs.dts, declareInt64Type(readFileSync(outputs.dts, 'utf8'), int64), 'utf8');
+    }
+    copyFileSync(outputs.dts, outputs.dcts);
+    writeFileSync(outputs.dts, declareDefaultExport(readFileSync(outputs.dts, 'utf8')), 'utf8');
 
-    console.log('🔄 Generating TypeScript definitions...');
-    execSync(`yarn pbts -o ${resolve(projectRoot, 'dist/index.d.ts')} ${resolve(projectRoot, 'dist/index.js')}`, {
-      stdio: 'inherit'
-    });
+    // The type registry reads the client version next to the schema
+    logger.info('🔄 Copying runtime modules...');
+    cpSync(RUNTIME_DIR, outDir, { recursive: true });
+    const version = versionFile && existsSync(versionFile) ? readFileSync(versionFile, 'utf8') : null;
+    writeFileSync(outputs.version, version ?? 'null', 'utf8');
+    if (!version) {
+      logger.warn('⚠️  No WhatsApp version file found, the registry reports no version');
+    }
+
+    const files = [
+      outputs.js, outputs.cjs, outputs.dts, outputs.dcts, outputs.json, outputs.descriptor,
+      outputs.version, ...outputs.runtime
+    ];
+    if (int64 !== 'long') {
+      files.push(outputs.int64);
+    }
+    if (existsSync(irPath)) {
+      copyFileSync(irPath, outputs.ir);
+      files.push(outputs.ir);
+      logger.info('🧾 Copied schema IR');
+
+      logger.info('🔄 Generating schema types...');
+      writeFileSync(outputs.types, generateTypings(await loadSchemaIR(irPath)), 'utf8');
+      files.push(outputs.types);
+    } else {
+      logger.warn(`⚠️  No schema IR found at ${irPath}, run the extractor to generate it`);
+    }
+    if (existsSync(jsonSchemaPath)) {
+      copyFileSync(jsonSchemaPath, outputs.jsonSchema);
+      files.push(outputs.jsonSchema);
+      logger.info('🧩 Copied JSON Schema');
+    } else {
+      logger.warn(`⚠️  No JSON Schema found at ${jsonSchemaPath}, run the extractor to generate it`);
+    }
+
+    await writeBuildState(`compile:${outDir}`, {
+      ...await getCompileFingerprint(options),
+      outputs: await hashFiles(files)
+    }, options.cacheDir);
 
-    console.log('✅ Compilation completed successfully!');
+    logger.info('✅ Compilation completed successfully!');
+    return { files, duration: Date.now() - startTime };
 
   } catch (error) {
-    console.error('❌ Compilation error:', error.message);
-    process.exit(1);
+    logger.error(`❌ Compilation error: ${error.message}`);
+    throw error;
   }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  compileProtobuf();
+  compileProtobuf().catch(() => {
+    process.exitCode = 1;
+  });
 }
 
-export { compileProtobuf };
\ No newline at end of file
+export { compileProtobuf, isCompileUpToDate, detectProtoSyntax, loadSchemaRoot, INT64_MODES };
@@ -0,0 +1,5 @@
+'use strict';
+
+const { createContentHelpers } = require('./lib/content.cjs');
+
+module.exports = createContentHelpers(require('./registry.cjs'));
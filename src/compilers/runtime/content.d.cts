@@ -0,0 +1,14 @@
+import type * as lib from './lib/content.cjs';
+
+declare const helpers: lib.ContentHelpers;
+
+declare namespace helpers {
+  type ContentHelpers = lib.ContentHelpers;
+  type MessageLike = lib.MessageLike;
+  type WrapperInfo = lib.WrapperInfo;
+  type UnwrappedMessage = lib.UnwrappedMessage;
+  type MessageContent = lib.MessageContent;
+  type MediaKeys = lib.MediaKeys;
+}
+
+export = helpers;
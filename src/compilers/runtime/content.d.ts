@@ -0,0 +1,17 @@
+import type { ContentHelpers } from './lib/content.cjs';
+
+export type {
+  ContentHelpers, MessageLike, WrapperInfo, UnwrappedMessage, MessageContent, MediaKeys
+} from './lib/content.cjs';
+
+export declare const listWrappers: ContentHelpers['listWrappers'];
+export declare const unwrapMessage: ContentHelpers['unwrapMessage'];
+export declare const extractContent: ContentHelpers['extractContent'];
+export declare const getContentType: ContentHelpers['getContentType'];
+export declare const getText: ContentHelpers['getText'];
+export declare const getCaption: ContentHelpers['getCaption'];
+export declare const getContextInfo: ContentHelpers['getContextInfo'];
+export declare const getMediaKeys: ContentHelpers['getMediaKeys'];
+
+declare const helpers: ContentHelpers;
+export default helpers;
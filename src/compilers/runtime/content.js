@@ -0,0 +1,16 @@
+import registry from './registry.js';
+import lib from './lib/content.cjs';
+
+const helpers = lib.createContentHelpers(registry);
+
+export const {
+  listWrappers,
+  unwrapMessage,
+  extractContent,
+  getContentType,
+  getText,
+  getCaption,
+  getContextInfo,
+  getMediaKeys
+} = helpers;
+export default helpers;
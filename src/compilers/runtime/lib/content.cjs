@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Content helpers of `proto.Message`, shared by the ES module and CommonJS entries.
+ *
+ * Content is often wrapped: `ephemeralMessage`, `viewOnceMessage`, `editedMessage`, ...
+ * hold a `FutureProofMessage` and `deviceSentMessage` a `DeviceSentMessage`, each carrying
+ * the actual `Message`. Wrappers are read from the schema: every singular message field
+ * of `proto.Message` whose type holds a singular `proto.Message` field named `message` next
+ * to scalars only is one.
+ * Contents nesting a `Message` next to their own data, such as `protocolMessage`,
+ * `requestPaymentMessage` or `commentMessage`, are contents themselves.
+ */
+
+const MESSAGE_TYPE = 'proto.Message';
+
+// Field of a wrapper holding the wrapped message
+const WRAPPED_FIELD = 'message';
+
+// Fields of `proto.Message` set next to the content, never content themselves
+const METADATA_FIELDS = ['senderKeyDistributionMessage', 'messageContextInfo'];
+
+// Fields of media contents locating and decrypting the media
+const MEDIA_KEY_FIELDS = [
+  'mediaKey', 'mediaKeyTimestamp', 'url', 'directPath', 'fileSha256', 'fileEncSha256', 'mimetype', 'fileLength'
+];
+
+/**
+ * Tells whether a field of a message or plain object is set. Decoded messages
+ * only hold set fields as own properties, their prototype holds the defaults.
+ * @param {Object} message - Message or plain object
+ * @param {string} field - Field name
+ * @returns {boolean} Whether the field is set
+ */
+const isSet = (message, field) =>
+  message != null && Object.prototype.hasOwnProperty.call(message, field) && message[field] != null;
+
+/**
+ * Tells whether a scalar holds its default value. Plain objects converted with
+ * `defaults: true` hold every scalar field, e.g. `conversation: ""`, which is no content.
+ * @param {*} value - Field value
+ * @param {Object} field - Field information, see `lib/registry.cjs`
+ * @returns {boolean} Whether the value is the default
+ */
+const isDefaultValue = (value, field) => {
+  if (value === '' || value === 0 || value === false) return true;
+  if (ArrayBuffer.isView(value) || Array.isArray(value)) return value.length === 0;
+  return field.defaultValue !== null && String(value) === String(field.defaultValue);
+};
+
+/**
+ * Returns a field of a content
+ * @param {*} content - Content, see `extractContent`
+ * @param {string} field - Field name
+ * @returns {*} Field value, null when the content has none
+ */
+const attributeOf = (content, field) => (typeof content === 'object' && isSet(content, field) ? content[field] : null);
+
+/**
+ * Creates the content helpers of a schema
+ * @param {Object} registry - Type registry, see `lib/registry.cjs`
+ * @returns {Object} Content helpers
+ */
+function createContentHelpers(registry) {
+  let wrappers = null;
+  let contentFields = null;
+
+  const getWrappers = () => {
+    if (!wrappers) {
+      wrappers = new Map();
+      for (const field of registry.lookupMessage(MESSAGE_TYPE)?.fields || []) {
+        if (field.typeKind !== 'message' || field.label === 'repeated') continue;
+
+        const fields = registry.lookupMessage(field.type)?.fields || [];
+        const inner = fields.find(candidate => candidate.name === WRAPPED_FIELD && candidate.type === MESSAGE_TYPE && candidate.label !== 'repeated');
+        if (inner && fields.every(candidate => candidate === inner || candidate.typeKind === 'scalar')) {
+          wrappers.set(field.name, { field: field.name, type: field.type, messageField: inner.name });
+        }
+      }
+    }
+    return wrappers;
+  };
+
+  const getContentFields = () => {
+    if (!contentFields) {
+      // Repeated and map fields are own properties of every decoded message, even when empty
+      contentFields = (registry.lookupMessage(MESSAGE_TYPE)?.fields || [])
+        .filter(field => field.label !== 'repeated')
+        .filter(field => !getWrappers().has(field.name) && !METADATA_FIELDS.includes(field.name));
+    }
+    return contentFields;
+  };
+
+  /**
+   * Lists the wrapper fields of `proto.Message`
+   * @returns {Object[]} Wrappers with the `field`, its message `type` and the `messageField` holding the content
+   */
+  const listWrappers = () => [...getWrappers().values()];
+
+  /**
+   * Unwraps a message, recursively
+   * @param {Object} message - `proto.Message` or its plain object
+   * @returns {Object} Innermost `message` and the `wrappers` around it, outermost first,
+   *   each with its `field` and `value`
+   */
+  const unwrapMessage = (message) => {
+    const chain = [];
+    const seen = new Set();
+    let current = message;
+
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      const wrapper = [...getWrappers().values()].find(({ field, messageField }) =>
+        isSet(current, field) && isSet(current[field], messageField));
+      if (!wrapper) break;
+
+      chain.push({ field: wrapper.field, value: current[wrapper.field] });
+      current = current[wrapper.field][wrapper.messageField];
+    }
+
+    return { message: current ?? null, wrappers: chain };
+  };
+
+  /**
+   * Returns the content of a message, looking through its wrappers
+   * @param {Object} message - `proto.Message` or its plain object
+   * @returns {Object} Content `type`, the field name such as `imageMessage`, or null when
+   *   there is none, the `content` itself, the unwrapped `message` and its `wrappers`
+   */
+  const extractContent = (message) => {
+    const unwrapped = unwrapMessage(message);
+    const type = getContentFields()
+      .find(field => isSet(unwrapped.message, field.name) &&
+        (field.typeKind === 'message' || !isDefaultValue(unwrapped.message[field.name], field)))?.name ?? null;
+
+    return {
+      type,
+      content: type ? unwrapped.message[type] : null,
+      ...unwrapped
+    };
+  };
+
+  /**
+   * Returns the content type of a message, see `extractContent`
+   * @param {Object} message - `proto.Message` or its plain object
+   * @returns {string|null} Content field name
+   */
+  const getContentType = (message) => extractContent(message).type;
+
+  /**
+   * Returns the text of a message: the conversation, the text of an extended text or the caption of a media
+   * @param {Object} message - `proto.Message` or its plain object
+   * @returns {string|null} Text
+   */
+  const getText = (message) => {
+    const { content } = extractContent(message);
+    if (typeof content === 'string') return content;
+    return attributeOf(content, 'text') ?? attributeOf(content, 'caption');
+  };
+
+  /**
+   * Returns the media keys of a message, from its media content
+   * @param {Object} message - `proto.Message` or its plain object
+   * @returns {Object|null} Set fields of `MEDIA_KEY_FIELDS`, null without a `mediaKey`
+   */
+  const getMediaKeys = (message) => {
+    const { content } = extractContent(message);
+    if (attributeOf(content, 'mediaKey') === null) {
+      return null;
+    }
+    return Object.fromEntries(MEDIA_KEY_FIELDS.filter(field => isSet(content, field)).map(field => [field, content[field]]));
+  };
+
+  return {
+    listWrappers,
+    unwrapMessage,
+    extractContent,
+    getContentType,
+    getText,
+    getCaption: (message) => attributeOf(extractContent(message).content, 'caption'),
+    getContextInfo: (message) => attributeOf(extractContent(message).content, 'contextInfo'),
+    getMediaKeys
+  };
+}
+
+module.exports = { createContentHelpers };
@@ -0,0 +1,54 @@
+import type { Registry } from './registry.cjs';
+
+/** `proto.Message`, as a decoded message or its plain object */
+export type MessageLike = { [field: string]: any };
+
+export interface WrapperInfo {
+  /** Field of `proto.Message`, e.g. `ephemeralMessage` */
+  field: string;
+  /** Fully qualified name of the wrapper message, e.g. `proto.Message.FutureProofMessage` */
+  type: string;
+  /** Field of the wrapper holding the wrapped `proto.Message` */
+  messageField: string;
+}
+
+export interface UnwrappedMessage {
+  /** Innermost message */
+  message: MessageLike | null;
+  /** Wrappers around it, outermost first */
+  wrappers: { field: string; value: MessageLike }[];
+}
+
+export interface MessageContent extends UnwrappedMessage {
+  /** Content field, e.g. `conversation` or `imageMessage` */
+  type: string | null;
+  content: any;
+}
+
+export interface MediaKeys {
+  mediaKey: Uint8Array | string;
+  mediaKeyTimestamp?: any;
+  url?: string;
+  directPath?: string;
+  fileSha256?: Uint8Array | string;
+  fileEncSha256?: Uint8Array | string;
+  mimetype?: string;
+  fileLength?: any;
+}
+
+export interface ContentHelpers {
+  /** Wrapper fields of `proto.Message`, read from the schema */
+  listWrappers(): WrapperInfo[];
+  /** Unwraps a message, recursively */
+  unwrapMessage(message: MessageLike): UnwrappedMessage;
+  /** Returns the content of a message, looking through its wrappers */
+  extractContent(message: MessageLike): MessageContent;
+  getContentType(message: MessageLike): string | null;
+  /** Conversation, text of an extended text or caption of a media */
+  getText(message: MessageLike): string | null;
+  getCaption(message: MessageLike): string | null;
+  getContextInfo(message: MessageLike): MessageLike | null;
+  getMediaKeys(message: MessageLike): MediaKeys | null;
+}
+
+export function createContentHelpers(registry: Registry): ContentHelpers;
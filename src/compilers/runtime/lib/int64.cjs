@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * 64-bit integer modes of the static module, see the `int64` option of `compileProtobuf`.
+ *
+ * The static code reads and writes 64-bit integers as `Long`s. In `bigint` and `string`
+ * mode the wrappers of the module call `applyInt64Mode`, which wraps `decode`, `encode`,
+ * `verify`, `fromObject` and `toObject` of every message holding 64-bit fields: values
+ * are handed to the static code as `Long`s and handed out as BigInts or decimal strings.
+ * Nested messages are reached through the wrapped functions, so each message only
+ * converts its own fields.
+ */
+
+const $protobuf = require('protobufjs/minimal');
+
+const util = $protobuf.util;
+
+/**
+ * Creates the conversions of a mode
+ * @param {string} mode - 'bigint' or 'string'
+ * @returns {Object} `toNative` and `toLong` conversions of a field value
+ */
+function createConverters(mode) {
+  /**
+   * Converts a value of the static code to the mode
+   * @param {*} value - `Long`, number, string or BigInt
+   * @param {boolean} unsigned - Whether the field is unsigned
+   * @returns {bigint|string} Converted value
+   */
+  const toNative = (value, unsigned) => {
+    let big;
+    if (typeof value === 'object' && value !== null) {
+      const bits = (BigInt(value.high >>> 0) << 32n) | BigInt(value.low >>> 0);
+      big = unsigned ? bits : BigInt.asIntN(64, bits);
+    } else {
+      big = BigInt(value);
+    }
+    return mode === 'string' ? big.toString() : big;
+  };
+
+  /**
+   * Converts a value of the mode to a `Long` for the static code. Values that are
+   * not integers are left alone, `verify` reports them.
+   * @param {*} value - BigInt, decimal string, number or `Long`
+   * @param {boolean} unsigned - Whether the field is unsigned
+   * @returns {*} `Long`, or the value as it is
+   */
+  const toLong = (value, unsigned) => {
+    const integer = typeof value === 'bigint' || (typeof value === 'string' && /^-?\d+$/.test(value));
+    if (!integer) {
+      return value;
+    }
+    return util.Long ? util.Long.fromString(String(value), unsigned) : Number(value);
+  };
+
+  return { toNative, toLong };
+}
+
+/**
+ * Converts the 64-bit fields of a message
+ * @param {Object} message - Message or plain object, changed in place
+ * @param {Array[]} fields - `[name, unsigned, shape]` of the 64-bit fields, shape being 'single', 'repeated' or 'map'
+ * @param {Function} convert - Conversion of a value
+ * @returns {Object} The message
+ */
+function convertFields(message, fields, convert) {
+  for (const [name, unsigned, shape] of fields) {
+    if (!Object.prototype.hasOwnProperty.call(message, name) || message[name] == null) continue;
+
+    const value = message[name];
+    if (shape === 'repeated') {
+      message[name] = Array.from(value, item => convert(item, unsigned));
+    } else if (shape === 'map') {
+      message[name] = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item, unsigned)]));
+    } else {
+      message[name] = convert(value, unsigned);
+    }
+  }
+  return message;
+}
+
+/**
+ * Copies a message keeping its prototype, so the static code sees the same defaults
+ * @param {Object} message - Message or plain object
+ * @returns {Object} Shallow copy
+ */
+const copyMessage = (message) => Object.assign(Object.create(Object.getPrototypeOf(message)), message);
+
+/**
+ * Switches the static module to a 64-bit integer mode
+ * @param {Object} root - Root of the static module
+ * @param {Object} table - Mode table written by the compiler (`int64.json`)
+ * @param {string} table.mode - 'bigint' or 'string'
+ * @param {Object} table.types - 64-bit fields by fully qualified message name, see `convertFields`
+ */
+function applyInt64Mode(root, { mode, types }) {
+  const { toNative, toLong } = createConverters(mode);
+
+  for (const [typeName, fields] of Object.entries(types)) {
+    const Type = typeName.split('.').reduce((namespace, part) => namespace?.[part], root);
+    if (!Type) continue;
+
+    const { decode, encode, verify, fromObject, toObject } = Type;
+    const toStatic = (message) =>
+      (message && typeof message === 'object' ? convertFields(copyMessage(message), fields, toLong) : message);
+
+    // Keep the defaults of the schema, converted to the mode
+    for (const [name, unsigned, shape] of fields) {
+      if (shape === 'single') {
+        Type.prototype[name] = toNative(Type.prototype[name] ?? 0, unsigned);
+      }
+    }
+
+    if (decode) {
+      Type.decode = function (reader, length, error) {
+        return convertFields(decode.call(this, reader, length, error), fields, toNative);
+      };
+    }
+    if (encode) {
+      Type.encode = function (message, writer) {
+        return encode.call(this, toStatic(message), writer);
+      };
+    }
+    if (verify) {
+      Type.verify = function (message) {
+        return verify.call(this, toStatic(message));
+      };
+    }
+    if (fromObject) {
+      Type.fromObject = function (object) {
+        return convertFields(fromObject.call(this, object instanceof Type ? object : toStatic(object)), fields, toNative);
+      };
+    }
+    if (toObject) {
+      Type.toObject = function (message, options = {}) {
+        const object = toObject.call(this, toStatic(message), options);
+        return options.longs ? object : convertFields(object, fields, toNative);
+      };
+    }
+  }
+}
+
+module.exports = { applyInt64Mode };
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Type registry of the compiled package, shared by its ES module and CommonJS entries.
+ *
+ * Field information comes from the reflection of the JSON bundle, loaded on first use.
+ * Types resolve to the classes and enums of the static module the entry was given,
+ * so the ES module and CommonJS builds each hand out their own classes.
+ */
+
+const protobuf = require('protobufjs');
+
+/**
+ * Describes a reflected field
+ * @param {Object} field - protobufjs field, resolved
+ * @returns {Object} Field information
+ */
+function describeField(field) {
+  const kindOf = (type) => {
+    if (!type) return 'scalar';
+    return type instanceof protobuf.Enum ? 'enum' : 'message';
+  };
+
+  return {
+    name: field.name,
+    id: field.id,
+    type: field.resolvedType ? field.resolvedType.fullName.slice(1) : field.type,
+    typeKind: field.map ? 'map' : kindOf(field.resolvedType),
+    keyType: field.map ? field.keyType : null,
+    valueTypeKind: field.map ? kindOf(field.resolvedType) : null,
+    label: field.map || field.repeated ? 'repeated' : (field.required ? 'required' : 'optional'),
+    oneof: field.partOf && !field.options?.proto3_optional ? field.partOf.name : null,
+    defaultValue: field.getOption('default') ?? null
+  };
+}
+
+/**
+ * Creates the type registry of a compiled schema
+ * @param {Object} staticRoot - Root of the static module
+ * @param {Function} loadBundle - Returns the JSON bundle of the schema
+ * @param {number[]|null} versionParts - WhatsApp client version, as written to `whatsapp_version.json`
+ * @returns {Object} Registry
+ */
+function createRegistry(staticRoot, loadBundle, versionParts) {
+  const infos = new Map();
+  let reflection = null;
+
+  const getReflection = () => {
+    if (!reflection) {
+      reflection = protobuf.Root.fromJSON(loadBundle()).resolveAll();
+    }
+    return reflection;
+  };
+
+  const getStatic = (fullName) =>
+    fullName.split('.').reduce((namespace, part) => namespace?.[part], staticRoot) ?? null;
+
+  const describe = (type) => {
+    const fullName = type.fullName.slice(1);
+    if (infos.has(fullName)) {
+      return infos.get(fullName);
+    }
+
+    let info;
+    if (type instanceof protobuf.Enum) {
+      info = {
+        kind: 'enum',
+        name: type.name,
+        fullName,
+        type: getStatic(fullName),
+        values: { ...type.values },
+        valueName: (id) => type.valuesById[id] ?? null
+      };
+    } else {
+      const fields = type.fieldsArray.map(describeField).sort((a, b) => a.id - b.id);
+      const byName = new Map(fields.map(field => [field.name, field]));
+      const byId = new Map(fields.map(field => [field.id, field]));
+
+      info = {
+        kind: 'message',
+        name: type.name,
+        fullName,
+        type: getStatic(fullName),
+        fields,
+        oneofs: type.oneofsArray
+          .filter(oneof => !oneof.fieldsArray.every(field => field.options?.proto3_optional))
+          .map(oneof => ({ name: oneof.name, fields: oneof.oneof.slice() })),
+        field: (nameOrId) => (typeof nameOrId === 'number' ? byId.get(nameOrId) : byName.get(nameOrId)) ?? null
+      };
+    }
+
+    infos.set(fullName, info);
+    return info;
+  };
+
+  const listTypes = (kind) => {
+    const names = [];
+    const visit = (namespace) => {
+      for (const nested of namespace.nestedArray) {
+        if (nested instanceof kind) {
+          names.push(nested.fullName.slice(1));
+        }
+        if (nested.nestedArray) visit(nested);
+      }
+    };
+    visit(getReflection());
+    return names.sort();
+  };
+
+  /**
+   * Finds a type by name, with or without the package and leading dot
+   * @param {string} name - Type name, e.g. `proto.Message`, `.proto.Message` or `Message.ImageMessage`
+   * @returns {Object|null} protobufjs type or enum
+   */
+  const findType = (name) => {
+    const root = getReflection();
+    const parts = name.replace(/^\./, '').split('.');
+    const walk = (namespace, path) => path.reduce((current, part) => current?.get?.(part) ?? null, namespace);
+
+    for (const namespace of [root, ...root.nestedArray]) {
+      const found = walk(namespace, parts);
+      if (found instanceof protobuf.Type || found instanceof protobuf.Enum) {
+        return found;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Looks up a message or enum
+   * @param {string} name - Type name, see `findType`
+   * @returns {Object|null} Type information
+   */
+  const lookup = (name) => {
+    const type = findType(name);
+    return type ? describe(type) : null;
+  };
+
+  /**
+   * Looks up a message
+   * @param {string} name - Message name, see `findType`
+   * @returns {Object|null} Message information
+   */
+  const lookupMessage = (name) => {
+    const info = lookup(name);
+    return info?.kind === 'message' ? info : null;
+  };
+
+  /**
+   * Looks up an enum
+   * @param {string} name - Enum name, see `findType`
+   * @returns {Object|null} Enum information
+   */
+  const lookupEnum = (name) => {
+    const info = lookup(name);
+    return info?.kind === 'enum' ? info : null;
+  };
+
+  /**
+   * Looks up a field of a message
+   * @param {string} messageName - Message name, see `findType`
+   * @param {string|number} nameOrId - Field name or number
+   * @returns {Object|null} Field information
+   */
+  const getField = (messageName, nameOrId) => lookupMessage(messageName)?.field(nameOrId) ?? null;
+
+  return {
+    version: versionParts ? versionParts.join('.') : null,
+    listMessages: () => listTypes(protobuf.Type),
+    listEnums: () => listTypes(protobuf.Enum),
+    lookup,
+    lookupMessage,
+    lookupEnum,
+    getField
+  };
+}
+
+module.exports = { createRegistry };
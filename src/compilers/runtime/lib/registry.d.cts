@@ -0,0 +1,68 @@
+import type * as $protobuf from 'protobufjs';
+
+/** Static class of a message, e.g. `proto.Message` */
+export interface MessageClass {
+  new (properties?: { [key: string]: any }): any;
+  create(properties?: { [key: string]: any }): any;
+  encode(message: any, writer?: $protobuf.Writer): $protobuf.Writer;
+  decode(reader: $protobuf.Reader | Uint8Array, length?: number): any;
+  verify(message: { [key: string]: any }): string | null;
+  fromObject(object: { [key: string]: any }): any;
+  toObject(message: any, options?: $protobuf.IConversionOptions): { [key: string]: any };
+  getTypeUrl(typeUrlPrefix?: string): string;
+}
+
+export interface FieldInfo {
+  name: string;
+  id: number;
+  /** Scalar type or fully qualified name of the message or enum, the value type of maps */
+  type: string;
+  typeKind: 'scalar' | 'message' | 'enum' | 'map';
+  keyType: string | null;
+  valueTypeKind: 'scalar' | 'message' | 'enum' | null;
+  label: 'optional' | 'required' | 'repeated';
+  oneof: string | null;
+  defaultValue: unknown;
+}
+
+export interface MessageInfo {
+  kind: 'message';
+  name: string;
+  fullName: string;
+  type: MessageClass | null;
+  fields: FieldInfo[];
+  oneofs: { name: string; fields: string[] }[];
+  /** Looks up a field by name or number */
+  field(nameOrId: string | number): FieldInfo | null;
+}
+
+export interface EnumInfo {
+  kind: 'enum';
+  name: string;
+  fullName: string;
+  type: { readonly [name: string]: number } | null;
+  values: { [name: string]: number };
+  /** Returns the name of a value */
+  valueName(id: number): string | null;
+}
+
+export interface Registry {
+  /** WhatsApp client version of the schema */
+  version: string | null;
+  /** Fully qualified names of every message */
+  listMessages(): string[];
+  /** Fully qualified names of every enum */
+  listEnums(): string[];
+  /** Looks up a message or enum, e.g. `proto.Message`, `.proto.Message` or `Message.ImageMessage` */
+  lookup(name: string): MessageInfo | EnumInfo | null;
+  lookupMessage(name: string): MessageInfo | null;
+  lookupEnum(name: string): EnumInfo | null;
+  /** Looks up a field of a message by name or number */
+  getField(messageName: string, nameOrId: string | number): FieldInfo | null;
+}
+
+export function createRegistry(
+  staticRoot: object,
+  loadBundle: () => object,
+  versionParts: number[] | null
+): Registry;
@@ -0,0 +1,9 @@
+'use strict';
+
+const { createRegistry } = require('./lib/registry.cjs');
+
+module.exports = createRegistry(
+  require('./index.cjs'),
+  () => require('./whatsapp.json'),
+  require('./whatsapp_version.json')
+);
@@ -0,0 +1,13 @@
+import type * as lib from './lib/registry.cjs';
+
+declare const registry: lib.Registry;
+
+declare namespace registry {
+  type Registry = lib.Registry;
+  type MessageInfo = lib.MessageInfo;
+  type EnumInfo = lib.EnumInfo;
+  type FieldInfo = lib.FieldInfo;
+  type MessageClass = lib.MessageClass;
+}
+
+export = registry;
@@ -0,0 +1,14 @@
+import type { Registry } from './lib/registry.cjs';
+
+export type { Registry, MessageInfo, EnumInfo, FieldInfo, MessageClass } from './lib/registry.cjs';
+
+export declare const version: Registry['version'];
+export declare const listMessages: Registry['listMessages'];
+export declare const listEnums: Registry['listEnums'];
+export declare const lookup: Registry['lookup'];
+export declare const lookupMessage: Registry['lookupMessage'];
+export declare const lookupEnum: Registry['lookupEnum'];
+export declare const getField: Registry['getField'];
+
+declare const registry: Registry;
+export default registry;
@@ -0,0 +1,14 @@
+import { createRequire } from 'module';
+import $root from './index.js';
+import lib from './lib/registry.cjs';
+
+const require = createRequire(import.meta.url);
+
+const registry = lib.createRegistry(
+  $root,
+  () => require('./whatsapp.json'),
+  require('./whatsapp_version.json')
+);
+
+export const { version, listMessages, listEnums, lookup, lookupMessage, lookupEnum, getField } = registry;
+export default registry;
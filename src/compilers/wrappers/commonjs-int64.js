@@ -0,0 +1,9 @@
+"use strict";
+
+var $protobuf = require($DEPENDENCY);
+
+$OUTPUT;
+
+require("./lib/int64.cjs").applyInt64Mode($root, require("./int64.json"));
+
+module.exports = $root;
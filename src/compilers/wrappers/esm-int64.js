@@ -0,0 +1,9 @@
+import { createRequire } from 'module';
+import $protobuf from $DEPENDENCY;
+import int64 from './lib/int64.cjs';
+
+$OUTPUT;
+
+int64.applyInt64Mode($root, createRequire(import.meta.url)('./int64.json'));
+
+export { $root as default };
@@ -0,0 +1,103 @@
+/**
+ * Structured diagnostics collected while extracting the schema.
+ *
+ * Every diagnostic has a `code`, a `severity` ('error' or 'warning'), a readable
+ * `message` and, when known, the `entity`, `field`, source `module` and JS `alias`
+ * it is about. Errors mean the generated schema is incomplete or invalid.
+ */
+
+import { createConsoleLogger } from '../logger/index.js';
+
+const SEVERITY = {
+  error: 'error',
+  warning: 'warning'
+};
+
+const DIAGNOSTIC_CODES = {
+  UNKNOWN_IDENTIFIER_ALIAS: { code: 'UNKNOWN_IDENTIFIER_ALIAS', severity: SEVERITY.error },
+  UNRESOLVED_REFERENCE: { code: 'UNRESOLVED_REFERENCE', severity: SEVERITY.error },
+  UNRESOLVED_CROSS_REFERENCE: { code: 'UNRESOLVED_CROSS_REFERENCE', severity: SEVERITY.error },
+  MISSING_FIELD_TYPE: { code: 'MISSING_FIELD_TYPE', severity: SEVERITY.error },
+  ONEOF_MEMBER_NOT_FOUND: { code: 'ONEOF_MEMBER_NOT_FOUND', severity: SEVERITY.error },
+  MISSING_NESTED_ENTITY: { code: 'MISSING_NESTED_ENTITY', severity: SEVERITY.error },
+  UNKNOWN_ENTITY: { code: 'UNKNOWN_ENTITY', severity: SEVERITY.warning },
+  UNSUPPORTED_DEFAULT: { code: 'UNSUPPORTED_DEFAULT', severity: SEVERITY.warning },
+  CIRCULAR_IMPORT: { code: 'CIRCULAR_IMPORT', severity: SEVERITY.warning },
+  CHUNK_UNAVAILABLE: { code: 'CHUNK_UNAVAILABLE', severity: SEVERITY.warning },
+  CONFLICTING_MODULE: { code: 'CONFLICTING_MODULE', severity: SEVERITY.warning },
+  DUPLICATE_FIELD_NUMBER: { code: 'DUPLICATE_FIELD_NUMBER', severity: SEVERITY.error },
+  DUPLICATE_NAME: { code: 'DUPLICATE_NAME', severity: SEVERITY.error },
+  FIELD_NUMBER_OUT_OF_RANGE: { code: 'FIELD_NUMBER_OUT_OF_RANGE', severity: SEVERITY.error },
+  RESERVED_FIELD_NUMBER: { code: 'RESERVED_FIELD_NUMBER', severity: SEVERITY.error },
+  INVALID_MAP_KEY: { code: 'INVALID_MAP_KEY', severity: SEVERITY.error },
+  UNKNOWN_TYPE_REFERENCE: { code: 'UNKNOWN_TYPE_REFERENCE', severity: SEVERITY.error },
+  PROTO_LOAD_FAILED: { code: 'PROTO_LOAD_FAILED', severity: SEVERITY.error },
+  ENUM_VALUE_NAME_CONFLICT: { code: 'ENUM_VALUE_NAME_CONFLICT', severity: SEVERITY.warning },
+  UNMATCHED_PATCH_RULE: { code: 'UNMATCHED_PATCH_RULE', severity: SEVERITY.warning },
+  // Problems fixed automatically during validation
+  ENUM_ZERO_VALUE_INSERTED: { code: 'ENUM_ZERO_VALUE_INSERTED', severity: SEVERITY.warning },
+  ENUM_ZERO_VALUE_MOVED: { code: 'ENUM_ZERO_VALUE_MOVED', severity: SEVERITY.warning },
+  ENUM_ALIAS_ALLOWED: { code: 'ENUM_ALIAS_ALLOWED', severity: SEVERITY.warning }
+};
+
+/**
+ * Formats a diagnostic as a single log line
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {string} Log line
+ */
+function formatDiagnostic(diagnostic) {
+  const location = [
+    diagnostic.module,
+    diagnostic.entity && `${diagnostic.entity}${diagnostic.field ? `.${diagnostic.field}` : ''}`,
+    diagnostic.alias && `alias ${diagnostic.alias}`
+  ].filter(Boolean).join(', ');
+
+  return `[${diagnostic.code}] ${diagnostic.message}${location ? ` (${location})` : ''}`;
+}
+
+/**
+ * Creates a collector for extraction diagnostics
+ * @param {Object} logger - Logger every diagnostic is reported to, errors through `error`
+ *   and warnings through `warn`, see `src/logger/index.js`
+ * @returns {Object} Collector with `report`, `list`, `errors` and `warnings`
+ */
+function createDiagnosticCollector(logger = createConsoleLogger()) {
+  const diagnostics = [];
+
+  return {
+    /**
+     * Records a diagnostic and logs it at its severity
+     * @param {Object} definition - Entry of `DIAGNOSTIC_CODES`
+     * @param {string} message - Readable message
+     * @param {Object} context - `entity`, `field`, `module` and `alias` the diagnostic is about
+     */
+    report(definition, message, context = {}) {
+      const diagnostic = {
+        code: definition.code,
+        severity: definition.severity,
+        message,
+        entity: context.entity ?? null,
+        field: context.field ?? null,
+        module: context.module ?? null,
+        alias: context.alias ?? null
+      };
+
+      diagnostics.push(diagnostic);
+      if (diagnostic.severity === SEVERITY.error) {
+        logger.error(`❌ ${formatDiagnostic(diagnostic)}`);
+      } else {
+        logger.warn(`⚠️  ${formatDiagnostic(diagnostic)}`);
+      }
+    },
+    list: () => [...diagnostics],
+    errors: () => diagnostics.filter(d => d.severity === SEVERITY.error),
+    warnings: () => diagnostics.filter(d => d.severity === SEVERITY.warning)
+  };
+}
+
+export {
+  SEVERITY,
+  DIAGNOSTIC_CODES,
+  formatDiagnostic,
+  createDiagnosticCollector
+};
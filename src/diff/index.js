@@ -0,0 +1,473 @@
+import protobuf from 'protobufjs';
+import { readFile, writeFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { loadSchemaIR } from '../ir/index.js';
+
+const COMPATIBILITY = {
+  compatible: 'wire-compatible',
+  breaking: 'breaking'
+};
+
+// Scalar types sharing a wire encoding, see "Updating A Message Type" in the protobuf guide
+const WIRE_COMPATIBLE_TYPES = [
+  ['int32', 'uint32', 'int64', 'uint64', 'bool', 'enum'],
+  ['sint32', 'sint64'],
+  ['string', 'bytes'],
+  ['fixed32', 'sfixed32'],
+  ['fixed64', 'sfixed64']
+];
+
+// Types whose singular and repeated forms are read interchangeably
+const LABEL_FLEXIBLE_TYPES = ['string', 'bytes', 'message'];
+
+/**
+ * Extracts the WhatsApp version from the header comment of a generated proto
+ * @param {string} content - Proto file content
+ * @returns {string|null} WhatsApp version
+ */
+const extractProtoVersion = (content) =>
+  content.match(/^\/\/\/ WhatsApp Version: (.+)$/m)?.[1]?.trim() || null;
+
+/**
+ * Normalizes a protobufjs field into the schema field shape used for diffing
+ * @param {Object} field - protobufjs field
+ * @returns {Object} Normalized field
+ */
+function normalizeField(field) {
+  let type = field.type;
+  let kind = 'scalar';
+
+  try {
+    field.resolve();
+  } catch {
+    // Unresolvable references are compared by their written name
+  }
+
+  if (field.resolvedType) {
+    type = field.resolvedType.fullName.slice(1);
+    kind = field.resolvedType instanceof protobuf.Enum ? 'enum' : 'message';
+  }
+
+  if (field.map) {
+    type = `map<${field.keyType}, ${type}>`;
+    kind = 'map';
+  }
+
+  const oneof = field.partOf && !field.options?.proto3_optional ? field.partOf.name : null;
+
+  return {
+    id: field.id,
+    type,
+    kind,
+    label: field.map || field.repeated ? 'repeated' : (field.required ? 'required' : 'optional'),
+    oneof
+  };
+}
+
+/**
+ * Builds the normalized schema used for diffing from a protobufjs root
+ * @param {Object} root - protobufjs root
+ * @param {string|null} version - WhatsApp version of the schema
+ * @returns {Object} Normalized schema with messages and enums keyed by full name
+ */
+function schemaFromRoot(root, version) {
+  const schema = { version, messages: {}, enums: {} };
+
+  const visit = (namespace) => {
+    for (const nested of namespace.nestedArray) {
+      const name = nested.fullName.slice(1);
+
+      if (nested instanceof protobuf.Type) {
+        schema.messages[name] = {
+          fields: Object.fromEntries(
+            nested.fieldsArray.map(field => [field.name, normalizeField(field)])
+          )
+        };
+      } else if (nested instanceof protobuf.Enum) {
+        schema.enums[name] = { values: { ...nested.values } };
+      }
+
+      if (nested.nestedArray) {
+        visit(nested);
+      }
+    }
+  };
+
+  visit(root);
+  return schema;
+}
+
+/**
+ * Parses a .proto file into the normalized schema used for diffing
+ * @param {string} content - Proto file content
+ * @returns {Object} Normalized schema
+ */
+function parseProtoSchema(content) {
+  const { root } = protobuf.parse(content, { keepCase: true, alternateCommentMode: true });
+  return schemaFromRoot(root, extractProtoVersion(content));
+}
+
+/**
+ * Builds the normalized schema used for diffing from a schema IR
+ * @param {Object} ir - Schema IR
+ * @returns {Object} Normalized schema
+ */
+function schemaFromIR(ir) {
+  const schema = { version: ir.whatsappVersion, messages: {}, enums: {} };
+  const qualify = (name) => `${ir.package}.${name}`;
+
+  for (const entity of ir.entities) {
+    if (entity.kind === 'message') {
+      schema.messages[qualify(entity.name)] = {
+        fields: Object.fromEntries(entity.fields.map(field => {
+          const typeKind = field.typeKind === 'map' ? field.valueTypeKind : field.typeKind;
+          const type = typeKind === 'scalar' || typeKind === 'unresolved'
+            ? field.type
+            : qualify(field.type);
+          return [field.name, {
+            id: field.id,
+            type: field.typeKind === 'map' ? `map<${field.keyType}, ${type}>` : type,
+            kind: field.typeKind === 'unresolved' ? 'scalar' : field.typeKind,
+            label: field.label,
+            oneof: field.oneof
+          }];
+        }))
+      };
+    } else {
+      schema.enums[qualify(entity.name)] = {
+        values: Object.fromEntries(entity.values.map(({ name, id }) => [name, id]))
+      };
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Loads a normalized schema from a .proto file, following its imports,
+ * or from a schema IR `.json` file
+ * @param {string} filePath - Path to the .proto or IR file
+ * @returns {Promise<Object>} Normalized schema
+ */
+async function loadSchema(filePath) {
+  if (filePath.endsWith('.json')) {
+    return schemaFromIR(await loadSchemaIR(filePath));
+  }
+
+  const content = await readFile(filePath, 'utf8');
+  const root = await new protobuf.Root().load(filePath, { keepCase: true, alternateCommentMode: true });
+  return schemaFromRoot(root, extractProtoVersion(content));
+}
+
+/**
+ * Returns the wire-compatibility group of a field type
+ * @param {Object} field - Normalized field
+ * @returns {string} Group key
+ */
+const wireGroup = (field) => {
+  if (field.kind === 'message' || field.kind === 'map') return field.type;
+  const type = field.kind === 'enum' ? 'enum' : field.type;
+  const group = WIRE_COMPATIBLE_TYPES.findIndex(types => types.includes(type));
+  return group === -1 ? type : `group:${group}`;
+};
+
+/**
+ * Formats a field declaration for change descriptions
+ * @param {string} name - Field name
+ * @param {Object} field - Normalized field
+ * @returns {string} Field declaration
+ */
+const describeField = (name, field) => {
+  const label = field.label === 'optional' || field.kind === 'map' ? '' : `${field.label} `;
+  const oneof = field.oneof ? ` (oneof ${field.oneof})` : '';
+  return `${label}${field.type} ${name} = ${field.id}${oneof}`;
+};
+
+/**
+ * Compares the fields of a message present in both schemas
+ * @param {string} entity - Message full name
+ * @param {Object} before - Old message
+ * @param {Object} after - New message
+ * @param {Function} report - Change reporter
+ */
+function diffMessageFields(entity, before, after, report) {
+  const oldFields = before.fields;
+  const newFields = after.fields;
+  const newById = new Map(Object.entries(newFields).map(([name, f]) => [f.id, name]));
+  const oldById = new Map(Object.entries(oldFields).map(([name, f]) => [f.id, name]));
+
+  for (const [name, oldField] of Object.entries(oldFields)) {
+    const newField = newFields[name];
+
+    if (!newField) {
+      const reusedBy = newById.get(oldField.id);
+
+      if (reusedBy && !oldFields[reusedBy]) {
+        const sameWire = wireGroup(oldField) === wireGroup(newFields[reusedBy]);
+        report({
+          kind: sameWire ? 'field-renamed' : 'field-number-reused',
+          entity,
+          field: name,
+          compatible: sameWire,
+          before: describeField(name, oldField),
+          after: describeField(reusedBy, newFields[reusedBy])
+        });
+      } else {
+        report({
+          kind: 'field-removed',
+          entity,
+          field: name,
+          compatible: false,
+          before: describeField(name, oldField)
+        });
+      }
+      continue;
+    }
+
+    if (oldField.id !== newField.id) {
+      report({
+        kind: 'field-number-changed',
+        entity,
+        field: name,
+        compatible: false,
+        before: describeField(name, oldField),
+        after: describeField(name, newField)
+      });
+    }
+
+    if (oldField.type !== newField.type) {
+      report({
+        kind: 'field-type-changed',
+        entity,
+        field: name,
+        compatible: wireGroup(oldField) === wireGroup(newField),
+        before: oldField.type,
+        after: newField.type
+      });
+    }
+
+    if (oldField.label !== newField.label) {
+      const labels = [oldField.label, newField.label];
+      const compatible = !labels.includes('required') && (
+        !labels.includes('repeated') ||
+        LABEL_FLEXIBLE_TYPES.includes(newField.kind === 'scalar' ? newField.type : newField.kind)
+      );
+      report({
+        kind: 'field-label-changed',
+        entity,
+        field: name,
+        compatible,
+        before: oldField.label,
+        after: newField.label
+      });
+    }
+
+    if (oldField.oneof !== newField.oneof) {
+      report({
+        kind: 'field-oneof-changed',
+        entity,
+        field: name,
+        compatible: false,
+        before: oldField.oneof,
+        after: newField.oneof
+      });
+    }
+  }
+
+  for (const [name, newField] of Object.entries(newFields)) {
+    if (oldFields[name]) continue;
+
+    const previous = oldById.get(newField.id);
+    if (previous && !newFields[previous]) continue; // Reported as rename or reuse
+
+    report({
+      kind: 'field-added',
+      entity,
+      field: name,
+      compatible: newField.label !== 'required',
+      after: describeField(name, newField)
+    });
+  }
+}
+
+/**
+ * Compares the values of an enum present in both schemas
+ * @param {string} entity - Enum full name
+ * @param {Object} before - Old enum
+ * @param {Object} after - New enum
+ * @param {Function} report - Change reporter
+ */
+function diffEnumValues(entity, before, after, report) {
+  const newByNumber = new Map(Object.entries(after.values).map(([name, id]) => [id, name]));
+
+  for (const [name, id] of Object.entries(before.values)) {
+    if (name in after.values) {
+      if (after.values[name] !== id) {
+        report({
+          kind: 'enum-value-number-changed',
+          entity,
+          field: name,
+          compatible: false,
+          before: `${name} = ${id}`,
+          after: `${name} = ${after.values[name]}`
+        });
+      }
+    } else if (newByNumber.has(id) && !(newByNumber.get(id) in before.values)) {
+      report({
+        kind: 'enum-value-renamed',
+        entity,
+        field: name,
+        compatible: true,
+        before: `${name} = ${id}`,
+        after: `${newByNumber.get(id)} = ${id}`
+      });
+    } else {
+      report({
+        kind: 'enum-value-removed',
+        entity,
+        field: name,
+        compatible: false,
+        before: `${name} = ${id}`
+      });
+    }
+  }
+
+  const oldByNumber = new Map(Object.entries(before.values).map(([name, id]) => [id, name]));
+
+  for (const [name, id] of Object.entries(after.values)) {
+    if (name in before.values) continue;
+    if (oldByNumber.has(id) && !(oldByNumber.get(id) in after.values)) continue; // Reported as rename
+
+    report({
+      kind: 'enum-value-added',
+      entity,
+      field: name,
+      compatible: true,
+      after: `${name} = ${id}`
+    });
+  }
+}
+
+/**
+ * Compares two normalized schemas
+ * @param {Object} before - Old schema
+ * @param {Object} after - New schema
+ * @returns {Object} Diff with summary and classified changes
+ */
+function diffSchemas(before, after) {
+  const changes = [];
+
+  const report = ({ compatible, ...change }) => {
+    changes.push({
+      ...change,
+      compatibility: compatible ? COMPATIBILITY.compatible : COMPATIBILITY.breaking
+    });
+  };
+
+  const entities = [
+    ['message', before.messages, after.messages, diffMessageFields],
+    ['enum', before.enums, after.enums, diffEnumValues]
+  ];
+
+  for (const [kind, oldEntities, newEntities, diffMembers] of entities) {
+    const names = [...new Set([...Object.keys(oldEntities), ...Object.keys(newEntities)])].sort();
+
+    for (const name of names) {
+      if (!newEntities[name]) {
+        report({ kind: `${kind}-removed`, entity: name, compatible: false });
+      } else if (!oldEntities[name]) {
+        report({ kind: `${kind}-added`, entity: name, compatible: true });
+      } else {
+        diffMembers(name, oldEntities[name], newEntities[name], report);
+      }
+    }
+  }
+
+  const breaking = changes.filter(c => c.compatibility === COMPATIBILITY.breaking).length;
+
+  return {
+    from: before.version,
+    to: after.version,
+    summary: {
+      total: changes.length,
+      breaking,
+      compatible: changes.length - breaking
+    },
+    changes
+  };
+}
+
+/**
+ * Formats a schema diff as human readable text
+ * @param {Object} diff - Result of `diffSchemas`
+ * @returns {string} Text report
+ */
+function formatDiffText(diff) {
+  const lines = [
+    `Schema diff ${diff.from || 'unknown'} -> ${diff.to || 'unknown'}`,
+    `${diff.summary.total} changes: ${diff.summary.breaking} breaking, ${diff.summary.compatible} wire-compatible`,
+    ''
+  ];
+
+  const byEntity = new Map();
+  for (const change of diff.changes) {
+    if (!byEntity.has(change.entity)) byEntity.set(change.entity, []);
+    byEntity.get(change.entity).push(change);
+  }
+
+  for (const [entity, changes] of byEntity) {
+    lines.push(entity);
+    for (const change of changes) {
+      const marker = change.compatibility === COMPATIBILITY.breaking ? '!' : ' ';
+      const detail = [change.before, change.after].filter(v => v !== undefined && v !== null);
+      const member = change.field ? ` ${change.field}` : '';
+      lines.push(`  ${marker} ${change.kind}${member}${detail.length ? `: ${detail.join(' -> ')}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      output: { type: 'string', short: 'o' }
+    }
+  });
+
+  if (positionals.length !== 2) {
+    console.error('Usage: node src/diff/index.js <old.proto> <new.proto> [--json] [--output file]');
+    process.exit(2);
+  }
+
+  Promise.all(positionals.map(loadSchema))
+    .then(async ([before, after]) => {
+      const diff = diffSchemas(before, after);
+      const report = values.json ? JSON.stringify(diff, null, 2) : formatDiffText(diff);
+
+      if (values.output) {
+        await writeFile(values.output, report, 'utf8');
+      } else {
+        console.log(report);
+      }
+
+      process.exit(diff.summary.breaking > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('💥 Diff failed:', error.message);
+      process.exit(2);
+    });
+}
+
+export {
+  COMPATIBILITY,
+  parseProtoSchema,
+  schemaFromIR,
+  loadSchema,
+  diffSchemas,
+  formatDiffText
+};
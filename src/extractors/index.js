@@ -1,38 +1,98 @@
 import requestPromise from 'request-promise-native';
-import * as acorn from 'acorn';
 import * as walk from 'acorn-walk';
 import { writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import { basename, dirname, resolve } from 'path';
+import { parseArgs } from 'util';
+import { createSource, createHttpSource } from '../sources/index.js';
+import { buildSchemaIR } from '../ir/index.js';
+import { buildJSONSchema } from '../jsonschema/index.js';
+import { archiveSchema, DEFAULT_ARCHIVE_DIR } from '../archive/index.js';
+import { DIAGNOSTIC_CODES, createDiagnosticCollector } from '../diagnostics/index.js';
+import {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_CACHE_LIMITS,
+  hashContent,
+  hashFiles,
+  outputsUnchanged,
+  createDownloadCache,
+  createCachingSource,
+  readBuildState,
+  writeBuildState
+} from '../cache/index.js';
+import { validateSchemaModel, validateProtoText } from '../validators/index.js';
+import { resolveLogger } from '../logger/index.js';
+import { DEFAULT_PATCHES_PATH, loadPatchRules, createPatchSet } from '../patches/index.js';
+import { resolveRequiredModule, createSymbolTable } from '../symbols/index.js';
+import { parseSpecModules, createParserPool } from '../parser/index.js';
 
 const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
 
 
-// Configuration object for better maintainability
+// Configuration object for better maintainability, every key can be overridden through the extraction options
 const CONFIG = {
   baseURL: 'https://web.whatsapp.com',
   userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:100.0) Gecko/20100101 Firefox/100.0',
   defaultOutputPath: resolve(projectRoot, 'proto/whatsapp.proto'),
+  versionFile: resolve(projectRoot, 'data/whatsapp_version.json'),
+  archiveDir: DEFAULT_ARCHIVE_DIR,
+  cacheDir: DEFAULT_CACHE_DIR,
+  cacheMaxAge: DEFAULT_CACHE_LIMITS.maxAge,
+  cacheMaxSize: DEFAULT_CACHE_LIMITS.maxSize,
+  patches: DEFAULT_PATCHES_PATH,
   indentSize: 2,
   requestTimeout: 30000,
   retryAttempts: 3,
-  retryDelay: 1000
+  retryDelay: 1000,
+  maxChunks: 2000,
+  workers: 0,
+  syntax: 'proto3',
+  proto3Optional: false
 };
 
-// Global state
-let whatsAppVersion = 'latest';
+const SUPPORTED_SYNTAXES = ['proto2', 'proto3'];
+const SUPPORTED_SPLITS = ['module', 'domain'];
+const PROTO_PACKAGE = 'proto';
+
+// Trailing comment carrying field defaults in proto3 output
+const DEFAULT_ANNOTATION_PREFIX = '// default = ';
+
+// Escapes of proto string literals, other control characters are written in octal
+const PROTO_STRING_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Creates the context shared by the extraction steps
+ * @param {Object} options - Extraction options, see `extractProtobuf`
+ * @returns {Object} `settings` (`CONFIG` with the overridden keys), `logger`, `diagnostics`
+ *   and the `patches` set, see `src/patches/index.js`
+ */
+function createExtractionContext(options = {}) {
+  // null is a valid override, e.g. `versionFile: null` disables the version file
+  const settings = Object.fromEntries(
+    Object.entries(CONFIG).map(([key, value]) => [key, options[key] === undefined ? value : options[key]])
+  );
+  const logger = resolveLogger(options.silent ? false : options.logger);
+
+  return {
+    settings,
+    logger,
+    diagnostics: createDiagnosticCollector(logger),
+    patches: createPatchSet(loadPatchRules(settings.patches))
+  };
+}
 
 /**
  * Creates standardized request headers for WhatsApp web requests
+ * @param {Object} settings - Extraction settings
  * @returns {Object} Request headers object
  */
-const createRequestHeaders = () => ({
-  'User-Agent': CONFIG.userAgent,
+const createRequestHeaders = (settings = CONFIG) => ({
+  'User-Agent': settings.userAgent,
   'Sec-Fetch-Dest': 'script',
   'Sec-Fetch-Mode': 'no-cors',
   'Sec-Fetch-Site': 'same-origin',
-  'Referer': `${CONFIG.baseURL}/`,
+  'Referer': `${settings.baseURL}/`,
   'Accept': '*/*',
   'Accept-Language': 'en-US,en;q=0.5',
 });
@@ -42,26 +102,29 @@ const createRequestHeaders = () => ({
  * @param {string} url - URL to fetch
  * @param {Object} options - Request options
  * @param {number} attempt - Current attempt number
+ * @param {Object} context - Extraction context providing the retry policy and logger
  * @returns {Promise<string>} Response data
  */
-async function makeRequestWithRetry(url, options = {}, attempt = 1) {
+async function makeRequestWithRetry(url, options = {}, attempt = 1, context = createExtractionContext()) {
+  const { settings, logger } = context;
+
   try {
-    console.log(`📡 Fetching: ${url} (attempt ${attempt})`);
+    logger.info(`📡 Fetching: ${url} (attempt ${attempt})`);
 
     const requestOptions = {
-      headers: createRequestHeaders(),
-      timeout: CONFIG.requestTimeout,
+      headers: createRequestHeaders(settings),
+      timeout: settings.requestTimeout,
       ...options
     };
 
     return await requestPromise.get(url, requestOptions);
   } catch (error) {
-    if (attempt < CONFIG.retryAttempts) {
-      console.warn(`⚠️  Request failed, retrying in ${CONFIG.retryDelay}ms... (${error.message})`);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
-      return makeRequestWithRetry(url, options, attempt + 1);
+    if (attempt < settings.retryAttempts) {
+      logger.warn(`⚠️  Request failed, retrying in ${settings.retryDelay}ms... (${error.message})`);
+      await new Promise(resolve => setTimeout(resolve, settings.retryDelay));
+      return makeRequestWithRetry(url, options, attempt + 1, context);
     }
-    throw new Error(`Failed to fetch ${url} after ${CONFIG.retryAttempts} attempts: ${error.message}`);
+    throw new Error(`Failed to fetch ${url} after ${settings.retryAttempts} attempts: ${error.message}`);
   }
 }
 
@@ -73,82 +136,179 @@ async function makeRequestWithRetry(url, options = {}, attempt = 1) {
  */
 const addPrefix = (lines, prefix) => lines.map(line => prefix + line);
 
+// Facts of every module, collected once by `getModuleFacts`
+const moduleFactsCache = new WeakMap();
+
 /**
- * Recursively extracts all expressions from an AST node
- * @param {Object} node - AST node
- * @returns {Object[]} Array of expressions
+ * Collects everything the extraction steps need from a module in a single traversal:
+ * `crossRefs` to required modules, `assignments` to members (exports, specs and defaults)
+ * in source order, and `enumAliases` mapping local aliases to their enum values
+ * @param {Object} mod - Module AST node
+ * @returns {Object} Module facts, computed once per module
  */
-const extractAllExpressions = (node) => {
-  if (!node) return [];
-
-  const expressions = [node];
-  const exp = node.expression;
-
-  if (exp) {
-    expressions.push(exp);
+function getModuleFacts(mod) {
+  if (moduleFactsCache.has(mod)) {
+    return moduleFactsCache.get(mod);
   }
 
-  // Handle arguments with body
-  if (node?.expression?.arguments?.length) {
-    for (const arg of node.expression.arguments) {
-      if (arg?.body?.body?.length) {
-        for (const exp of arg.body.body) {
-          expressions.push(...extractAllExpressions(exp));
-        }
+  const facts = { crossRefs: [], assignments: [], enumAliases: {} };
+
+  walk.ancestor(mod, {
+    AssignmentExpression(node) {
+      if (
+        node.right?.type === 'CallExpression' &&
+        node.right.arguments?.length === 1 &&
+        node.right.arguments[0].type !== 'ObjectExpression'
+      ) {
+        facts.crossRefs.push({
+          alias: node.left.name,
+          module: node.right.arguments[0].value,
+        });
       }
-    }
-  }
 
-  // Handle node body
-  if (node?.body?.body?.length) {
-    for (const exp of node.body.body) {
-      if (exp.expression) {
-        expressions.push(...extractAllExpressions(exp.expression));
+      if (node.left.type === 'MemberExpression') {
+        facts.assignments.push(node);
       }
+    },
+    Property(node, ancestors) {
+      const fatherNode = ancestors[ancestors.length - 3];
+      const fatherFather = ancestors[ancestors.length - 4];
+
+      if (
+        fatherNode?.type === 'AssignmentExpression' &&
+        fatherNode?.left?.property?.name === 'internalSpec' &&
+        fatherNode?.right?.properties?.length
+      ) {
+        const values = fatherNode.right.properties.map((p) => ({
+          name: p.key.name,
+          id: p.value.value,
+        }));
+        const nameAlias = fatherNode.left.name;
+        facts.enumAliases[nameAlias] = values;
+      } else if (
+        node?.key?.name &&
+        fatherNode.arguments?.length > 0
+      ) {
+        const values = fatherNode.arguments[0]?.properties?.map((p) => ({
+          name: p.key.name,
+          id: p.value.value,
+        }));
+        const nameAlias = fatherFather?.left?.name || fatherFather?.id?.name;
+        facts.enumAliases[nameAlias] = values;
+      }
+    },
+  });
+
+  moduleFactsCache.set(mod, facts);
+  return facts;
+}
+
+/**
+ * Evaluates the literal value of an `internalDefaults` property
+ * @param {Object} node - AST node of the property value
+ * @returns {*} Default value, enum defaults as their value name, undefined when not a literal
+ */
+const extractDefaultValue = (node) => {
+  if (!node) return undefined;
+
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'UnaryExpression': {
+      const argument = extractDefaultValue(node.argument);
+      if (argument === undefined) return undefined;
+      if (node.operator === '!') return !argument;
+      if (node.operator === '-') return -argument;
+      return undefined;
     }
+    case 'Identifier':
+      return { Infinity, NaN }[node.name];
+    case 'MemberExpression':
+      // Enum defaults reference the enum object, e.g. `i.HOSTED`
+      return node.property?.name;
+    default:
+      return undefined;
   }
+};
 
-  // Handle expression sequences
-  if (node.expression?.expressions?.length) {
-    for (const exp of node.expression.expressions) {
-      expressions.push(...extractAllExpressions(exp));
+/**
+ * Collects `internalDefaults` objects of a module keyed by the spec alias
+ * @param {Object} mod - Module AST node
+ * @param {Object} diagnostics - Diagnostic collector
+ * @returns {Object} Map of spec alias to field defaults
+ */
+function collectInternalDefaults(mod, diagnostics) {
+  const defaultsByAlias = {};
+
+  for (const node of getModuleFacts(mod).assignments) {
+    if (
+      node.left.property.name === 'internalDefaults' &&
+      node.right.type === 'ObjectExpression'
+    ) {
+      const defaults = {};
+      for (const property of node.right.properties) {
+        const name = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        const value = extractDefaultValue(property.value);
+
+        if (value === undefined) {
+          diagnostics.report(DIAGNOSTIC_CODES.UNSUPPORTED_DEFAULT, `Unsupported default value for '${name}'`, {
+            field: name,
+            module: mod.expression.arguments[0].value,
+            alias: node.left.object.name
+          });
+        } else {
+          defaults[name] = value;
+        }
+      }
+      defaultsByAlias[node.left.object.name] = defaults;
     }
   }
 
-  return expressions;
-};
+  return defaultsByAlias;
+}
 
 /**
- * Extracts WhatsApp version from service worker
+ * Reads the client revision announced by the service worker
  * @param {string} serviceworker - Service worker content
- * @returns {string} Extracted version
+ * @returns {number} Client revision
  */
-async function extractWhatsAppVersion(serviceworker) {
+function extractClientRevision(serviceworker) {
   const versionMatches = [...serviceworker.matchAll(/client_revision\\":([\d\.]+),/g)];
 
-  console.log('🔍 Extracting WhatsApp version...');
-
   if (versionMatches.length === 0) {
     throw new Error('Could not find WhatsApp version in service worker');
   }
 
-  const version = versionMatches[0][1];
+  return Number(versionMatches[0][1]);
+}
+
+/**
+ * Extracts WhatsApp version from service worker and records it in the version file
+ * @param {string} serviceworker - Service worker content
+ * @param {Object} context - Extraction context
+ * @returns {Promise<string>} Extracted version
+ */
+async function extractWhatsAppVersion(serviceworker, { settings, logger } = createExtractionContext()) {
+  logger.info('🔍 Extracting WhatsApp version...');
+
+  const version = extractClientRevision(serviceworker);
   const waVersion = `2.3000.${version}`;
 
-  await writeFile(resolve(projectRoot, 'data/whatsapp_version.json'), JSON.stringify([2, 3000, Number(version)]), 'utf8');
+  if (settings.versionFile) {
+    await writeFile(settings.versionFile, JSON.stringify([2, 3000, version]), 'utf8');
+  }
 
-  console.log(`📱 Current WhatsApp version: ${waVersion}`);
+  logger.info(`📱 Current WhatsApp version: ${waVersion}`);
 
-  whatsAppVersion = waVersion;
   return waVersion;
 }
 
 /**
- * Extracts bootstrap URL from service worker
+ * Extracts the URLs of the scripts imported by the service worker
  * @param {string} serviceworker - Service worker content
- * @returns {string} Bootstrap URL
+ * @returns {string[]} Script URLs, bootstrap first
  */
-function extractBootstrapURL(serviceworker) {
+function extractImportedScriptURLs(serviceworker) {
   const clearString = serviceworker.replaceAll('/*BTDS*/', '');
   const urlMatches = clearString.match(/(?<=importScripts\(["'])(.*?)(?=["']\);)/g);
 
@@ -156,51 +316,209 @@ function extractBootstrapURL(serviceworker) {
     throw new Error('Could not find bootstrap URL in service worker');
   }
 
-  const bootstrapURL = new URL(urlMatches[0].replaceAll("\\", '')).href;
-  console.log(`🔗 Found bootstrap URL: ${bootstrapURL}`);
+  return [...new Set(urlMatches.map(url => new URL(url.replaceAll("\\", '')).href))];
+}
+
+/**
+ * Extracts the JS chunk URLs a script references, e.g. through the bootloader
+ * resource map or a chunk manifest. Relative and protocol-relative paths are
+ * resolved against the URL of the script, then only URLs on the given hosts are kept.
+ * @param {string} script - Script content
+ * @param {Set<string>} hosts - Hosts serving WhatsApp Web chunks
+ * @param {string} scriptURL - URL the script was loaded from
+ * @returns {string[]} Chunk URLs
+ */
+function extractChunkURLs(script, hosts, scriptURL) {
+  const urls = new Set();
+
+  // Absolute URLs anywhere, paths only as whole string literals
+  const pattern = /https?:(?:\\?\/){2}[^"'\s()<>]+?\.js(?=["'?#\\])|(?<=["'])\.{0,2}\\?\/[^"'\s()<>]*?\.js(?=["'?#\\])/g;
+
+  for (const [match] of script.matchAll(pattern)) {
+    try {
+      const url = new URL(match.replaceAll('\\', ''), scriptURL);
+      if (hosts.has(url.host)) {
+        urls.add(url.href);
+      }
+    } catch {
+      // Not a URL after all
+    }
+  }
 
-  return bootstrapURL;
+  return [...urls];
 }
 
 /**
- * Finds and parses WhatsApp application modules
- * @returns {Promise<Object[]>} Array of parsed modules
+ * Creates the default source fetching live from WhatsApp Web
+ * @param {Object} context - Extraction context
+ * @returns {Object} HTTP source
  */
-async function findAppModules() {
-  try {
-    console.log('🔍 Starting module discovery...');
+const createDefaultSource = (context = createExtractionContext()) => createHttpSource({
+  baseURL: context.settings.baseURL,
+  fetch: (url) => makeRequestWithRetry(url, {}, 1, context),
+});
 
-    // Fetch service worker
-    const serviceworker = await makeRequestWithRetry(`${CONFIG.baseURL}/sw.js`);
+/**
+ * Fetches the service worker and the bootstrap script it imports, enough to tell
+ * whether the bundle changed since the last build without crawling every chunk
+ * @param {Object} source - Source providing the service worker and bundles
+ * @param {Object} context - Extraction context
+ * @returns {Promise<Object>} `version`, `clientRevision`, `importedURLs`, the `bootstrap`
+ *   script and its `bootstrapHash`
+ */
+async function probeBundle(source, context = createExtractionContext()) {
+  const { logger } = context;
+  logger.info(`🔍 Starting module discovery from ${source.describe()}...`);
+
+  // Fetch service worker
+  const serviceworker = await source.getServiceWorker();
+
+  // Extract version and imported scripts
+  const version = await extractWhatsAppVersion(serviceworker, context);
+  const importedURLs = extractImportedScriptURLs(serviceworker);
+  logger.info(`🔗 Found bootstrap URL: ${importedURLs[0]}`);
+
+  // Without the bootstrap there is nothing to extract
+  const bootstrap = await source.getScript(importedURLs[0], { bootstrap: true });
+
+  return {
+    version,
+    clientRevision: Number(version.split('.').pop()),
+    importedURLs,
+    bootstrap,
+    bootstrapHash: hashContent(bootstrap)
+  };
+}
 
-    // Extract version and bootstrap URL
-    extractWhatsAppVersion(serviceworker);
-    const bootstrapURL = extractBootstrapURL(serviceworker);
+/**
+ * Crawls every script imported by the service worker, along with every chunk those
+ * scripts reference. Fills the metadata with the version, client revision, bundle URL,
+ * bundle hash and the crawled `chunks`.
+ * @param {Object} source - Source providing the service worker and bundles
+ * @param {Object} metadata - Extraction metadata to fill
+ * @param {Object} context - Extraction context
+ * @param {Object} probe - Result of `probeBundle` for this source, probed when omitted
+ * @returns {Promise<Map<string, string>>} Content of every crawled chunk by URL
+ */
+async function crawlChunks(source, metadata, context = createExtractionContext(), probe = null) {
+  const { settings, logger, diagnostics } = context;
+  const { version, importedURLs, bootstrap } = probe || await probeBundle(source, context);
+  const hosts = new Set(importedURLs.map(url => new URL(url).host));
+
+  const queue = [...importedURLs];
+  const queued = new Set(queue);
+  const seenHashes = new Set();
+  const scripts = new Map();
+  const chunks = [];
+
+  logger.info('🕸️  Crawling chunks...');
+  while (queue.length > 0 && chunks.length < settings.maxChunks) {
+    const url = queue.shift();
+    let script;
+
+    try {
+      script = url === importedURLs[0] ? bootstrap : await source.getScript(url);
+    } catch (error) {
+      diagnostics.report(DIAGNOSTIC_CODES.CHUNK_UNAVAILABLE, `Could not load chunk ${url}: ${error.message}`);
+      continue;
+    }
 
-    // Fetch bootstrap script
-    const qrData = await makeRequestWithRetry(bootstrapURL);
+    // Local sources may serve the same file for different URLs
+    const hash = hashContent(script);
+    if (seenHashes.has(hash)) continue;
+    seenHashes.add(hash);
 
-    // Apply known patches
-    console.log('🔧 Applying patches...');
-    const patchedQrData = qrData.replaceAll(
-      'LimitSharing$Trigger',
-      'LimitSharing$TriggerType'
-    );
+    for (const chunkURL of extractChunkURLs(script, hosts, url)) {
+      if (!queued.has(chunkURL)) {
+        queued.add(chunkURL);
+        queue.push(chunkURL);
+      }
+    }
 
-    // Parse and filter modules
-    console.log('📝 Parsing modules...');
-    const qrModules = acorn.parse(patchedQrData).body;
+    chunks.push({ url, hash, modules: [] });
+    scripts.set(url, script);
+  }
 
-    const filteredModules = qrModules.filter((module) => {
-      const expressions = extractAllExpressions(module);
-      return expressions?.find(expr => expr?.left?.property?.name === 'internalSpec');
-    });
+  if (queue.length > 0) {
+    logger.warn(`⚠️  Stopped crawling after ${settings.maxChunks} chunks, ${queue.length} left`);
+  }
 
-    console.log(`✅ Found ${filteredModules.length} relevant modules`);
-    return filteredModules;
+  metadata.version = version;
+  metadata.clientRevision = Number(version.split('.').pop());
+  metadata.bundleURL = importedURLs[0];
+  metadata.bundleHash = chunks.length === 1
+    ? chunks[0].hash
+    : hashContent(chunks.map(chunk => chunk.hash).join('\n'));
+  metadata.chunks = chunks;
 
+  return scripts;
+}
+
+/**
+ * Parses the crawled chunks and merges their modules, the first definition of a
+ * module wins. Each module records the `chunk` URL it was found in, and each chunk
+ * of the metadata lists its `modules`. With `settings.workers` set, module sources
+ * are parsed in that many worker threads.
+ * @param {Map<string, string>} scripts - Chunk contents by URL, see `crawlChunks`
+ * @param {Object} metadata - Extraction metadata filled by `crawlChunks`
+ * @param {Object} context - Extraction context
+ * @returns {Promise<Object[]>} Array of parsed modules
+ */
+async function parseChunkModules(scripts, metadata, { settings, logger, diagnostics, patches } = createExtractionContext()) {
+  logger.info(`📝 Parsing modules${settings.workers > 0 ? ` in ${settings.workers} workers` : ''}...`);
+
+  const modulesByName = new Map();
+  const pool = settings.workers > 0 ? createParserPool(settings.workers) : null;
+
+  try {
+    for (const chunk of metadata.chunks) {
+      const script = patches.patchSource(scripts.get(chunk.url));
+
+      for (const module of await parseSpecModules(script, pool)) {
+        const moduleName = module.expression.arguments[0].value;
+        const existing = modulesByName.get(moduleName);
+
+        if (existing) {
+          if (module.sourceText !== existing.sourceText) {
+            diagnostics.report(
+              DIAGNOSTIC_CODES.CONFLICTING_MODULE,
+              `Module is defined differently in ${existing.chunk} and ${chunk.url}, keeping the first`,
+              { module: moduleName }
+            );
+          }
+          continue;
+        }
+
+        module.chunk = chunk.url;
+        modulesByName.set(moduleName, module);
+        chunk.modules.push(moduleName);
+      }
+    }
+  } finally {
+    await pool?.close();
+  }
+
+  const modules = [...modulesByName.values()];
+  const chunkCount = metadata.chunks.filter(chunk => chunk.modules.length).length;
+
+  logger.info(`✅ Found ${modules.length} relevant modules in ${chunkCount} of ${metadata.chunks.length} chunks`);
+  return modules;
+}
+
+/**
+ * Finds and parses WhatsApp application modules from every crawled chunk,
+ * see `crawlChunks` and `parseChunkModules`
+ * @param {Object} source - Source providing the service worker and bundles, WhatsApp Web when omitted
+ * @param {Object} metadata - Filled with the version, client revision, bundle URL, bundle hash and crawled chunks
+ * @param {Object} context - Extraction context
+ * @returns {Promise<Object[]>} Array of parsed modules
+ */
+async function findAppModules(source, metadata = {}, context = createExtractionContext()) {
+  try {
+    const scripts = await crawlChunks(source ?? createDefaultSource(context), metadata, context);
+    return await parseChunkModules(scripts, metadata, context);
   } catch (error) {
-    console.error('❌ Error in findAppModules:', error.message);
+    context.logger.error(`❌ Error in findAppModules: ${error.message}`);
     throw error;
   }
 }
@@ -208,32 +526,20 @@ async function findAppModules() {
 /**
  * Builds cross-reference map for modules
  * @param {Object[]} modules - Array of modules
+ * @param {Object} context - Extraction context
  * @returns {Object} Module information with cross-references
  */
-function buildModuleCrossReferences(modules) {
-  console.log('🔗 Building cross-references...');
+function buildModuleCrossReferences(modules, { logger } = createExtractionContext()) {
+  logger.info('🔗 Building cross-references...');
 
   const modulesInfo = {};
 
   modules.forEach((module) => {
     const moduleName = module.expression.arguments[0].value;
-    modulesInfo[moduleName] = { crossRefs: [] };
-
-    walk.simple(module, {
-      AssignmentExpression(node) {
-        if (
-          node &&
-          node?.right?.type === 'CallExpression' &&
-          node?.right?.arguments?.length === 1 &&
-          node?.right?.arguments[0].type !== 'ObjectExpression'
-        ) {
-          modulesInfo[moduleName].crossRefs.push({
-            alias: node.left.name,
-            module: node.right.arguments[0].value,
-          });
-        }
-      },
-    });
+    modulesInfo[moduleName] = {
+      crossRefs: [...getModuleFacts(module).crossRefs],
+      chunk: module.chunk ?? null
+    };
   });
 
   return modulesInfo;
@@ -241,46 +547,62 @@ function buildModuleCrossReferences(modules) {
 
 /**
  * Creates identifier processing functions
+ * @param {Object} patches - Patch set providing the entity renames
  * @returns {Object} Object containing utility functions
  */
-function createIdentifierUtils() {
+function createIdentifierUtils(patches = null) {
   const unspecName = (name) => name.endsWith('Spec') ? name.slice(0, -4) : name;
   const unnestName = (name) => name.split('$').slice(-1)[0];
   const getNesting = (name) => name.split('$').slice(0, -1).join('$');
-  const makeRenameFunc = () => (name) => unspecName(name);
+  const makeRenameFunc = () => (name) => patches ? patches.renameEntity(unspecName(name)) : unspecName(name);
 
   return { unspecName, unnestName, getNesting, makeRenameFunc };
 }
 
 /**
- * Processes module identifiers and enums
+ * Processes module identifiers and enums. Exports of an entity required from another
+ * module are recorded as `reExports` instead of identifiers.
  * @param {Object[]} modules - Array of modules
  * @param {Object} modulesInfo - Module information object
+ * @param {Object} context - Extraction context
  * @returns {Object} Module indentation map
  */
-function processModuleIdentifiers(modules, modulesInfo) {
-  console.log('🏷️  Processing identifiers...');
+function processModuleIdentifiers(modules, modulesInfo, { logger, patches } = createExtractionContext()) {
+  logger.info('🏷️  Processing identifiers...');
 
-  const { getNesting, makeRenameFunc } = createIdentifierUtils();
+  const { getNesting, makeRenameFunc } = createIdentifierUtils(patches);
   const moduleIndentationMap = {};
 
   for (const mod of modules) {
     const modInfo = modulesInfo[mod.expression.arguments[0].value];
+    const { assignments: memberAssignments, enumAliases } = getModuleFacts(mod);
     const rename = makeRenameFunc();
 
     // Collect assignments
     const assignments = [];
-    walk.simple(mod, {
-      AssignmentExpression(node) {
-        const left = node.left;
-        if (
-          left.property?.name &&
-          !['internalSpec', 'internalDefaults', 'name'].includes(left.property.name)
-        ) {
-          assignments.push(left);
-        }
-      },
-    });
+    modInfo.reExports = {};
+    for (const node of memberAssignments) {
+      const left = node.left;
+      if (
+        !left.property?.name ||
+        ['internalSpec', 'internalDefaults', 'name'].includes(left.property.name)
+      ) {
+        continue;
+      }
+
+      const reExportedModule = node.right.type === 'MemberExpression' && !node.right.computed
+        ? resolveRequiredModule(node.right.object, modInfo.crossRefs)
+        : null;
+
+      if (reExportedModule) {
+        modInfo.reExports[rename(left.property.name)] = {
+          module: reExportedModule,
+          name: rename(node.right.property.name)
+        };
+      } else {
+        assignments.push(left);
+      }
+    }
 
     // Create blank identifiers
     const makeBlankIdent = (assignment) => {
@@ -304,51 +626,14 @@ function processModuleIdentifiers(modules, modulesInfo) {
       assignments.map(makeBlankIdent).reverse()
     );
 
-    // Process enum aliases
-    const enumAliases = {};
-    walk.ancestor(mod, {
-      Property(node, ancestors) {
-        const fatherNode = ancestors[ancestors.length - 3];
-        const fatherFather = ancestors[ancestors.length - 4];
-
-        if (
-          fatherNode?.type === 'AssignmentExpression' &&
-          fatherNode?.left?.property?.name === 'internalSpec' &&
-          fatherNode?.right?.properties?.length
-        ) {
-          const values = fatherNode.right.properties.map((p) => ({
-            name: p.key.name,
-            id: p.value.value,
-          }));
-          const nameAlias = fatherNode.left.name;
-          enumAliases[nameAlias] = values;
-        } else if (
-          node?.key?.name &&
-          fatherNode.arguments?.length > 0
-        ) {
-          const values = fatherNode.arguments[0]?.properties?.map((p) => ({
-            name: p.key.name,
-            id: p.value.value,
-          }));
-          const nameAlias = fatherFather?.left?.name || fatherFather?.id?.name;
-          enumAliases[nameAlias] = values;
-        }
-      },
-    });
-
     // Link enum values to identifiers
-    walk.simple(mod, {
-      AssignmentExpression(node) {
-        if (
-          node.left.type === 'MemberExpression' &&
-          modInfo.identifiers?.[rename(node.left.property.name)]
-        ) {
-          const ident = modInfo.identifiers[rename(node.left.property.name)];
-          ident.alias = node.right.name;
-          ident.enumValues = enumAliases[ident.alias];
-        }
-      },
-    });
+    for (const node of memberAssignments) {
+      const ident = modInfo.identifiers[rename(node.left.property.name)];
+      if (ident) {
+        ident.alias = node.right.name;
+        ident.enumValues = enumAliases[ident.alias];
+      }
+    }
   }
 
   return moduleIndentationMap;
@@ -358,164 +643,263 @@ function processModuleIdentifiers(modules, modulesInfo) {
  * Processes protobuf message specifications
  * @param {Object[]} modules - Array of modules
  * @param {Object} modulesInfo - Module information object
- * @param {Object} moduleIndentationMap - Module indentation mapping
+ * @param {Object} symbols - Symbol table resolving type references, see `src/symbols/index.js`
+ * @param {Object} context - Extraction context
  */
-function processMessageSpecifications(modules, modulesInfo, moduleIndentationMap) {
-  console.log('📋 Processing message specifications...');
-
-  const { makeRenameFunc, unnestName } = createIdentifierUtils();
+function processMessageSpecifications(modules, modulesInfo, symbols, { logger, diagnostics } = createExtractionContext()) {
+  logger.info('📋 Processing message specifications...');
 
   for (const mod of modules) {
-    const modInfo = modulesInfo[mod.expression.arguments[0].value];
-    const rename = makeRenameFunc();
+    const moduleName = mod.expression.arguments[0].value;
+    const modInfo = modulesInfo[moduleName];
+
+    const defaultsByAlias = collectInternalDefaults(mod, diagnostics);
+
+    for (const node of getModuleFacts(mod).assignments) {
+      if (
+        node.left.property.name === 'internalSpec' &&
+        node.right.type === 'ObjectExpression'
+      ) {
+        const targetName = symbols.resolveReference(moduleName, node.left.object);
+        const targetIdent = targetName && modInfo.identifiers[targetName];
+
+        if (!targetIdent) {
+          diagnostics.report(
+            DIAGNOSTIC_CODES.UNKNOWN_IDENTIFIER_ALIAS,
+            `Unknown identifier alias: ${node.left.object.name}`,
+            { module: moduleName, alias: node.left.object.name }
+          );
+          continue;
+        }
 
-    const findByAliasInIdentifier = (obj, alias) => {
-      return Object.values(obj).find(item => item.alias === alias);
-    };
+        const defaults = defaultsByAlias[node.left.object.name] || {};
 
-    walk.simple(mod, {
-      AssignmentExpression(node) {
-        if (
-          node.left.type === 'MemberExpression' &&
-          node.left.property.name === 'internalSpec' &&
-          node.right.type === 'ObjectExpression'
-        ) {
-          const targetIdent = Object.values(modInfo.identifiers).find(
-            (v) => v.alias === node.left.object.name
-          );
+        // Partition properties
+        const constraints = [];
+        let members = [];
 
-          if (!targetIdent) {
-            console.warn(`⚠️  Unknown identifier alias: ${node.left.object.name}`);
-            return;
-          }
+        for (const property of node.right.properties) {
+          property.key.name = property.key.type === 'Identifier'
+            ? property.key.name
+            : property.key.value;
 
-          // Partition properties
-          const constraints = [];
-          let members = [];
+          const targetArray = property.key.name.startsWith('__') ? constraints : members;
+          targetArray.push(property);
+        }
 
-          for (const property of node.right.properties) {
-            property.key.name = property.key.type === 'Identifier'
-              ? property.key.name
-              : property.key.value;
+        // Process members
+        members = members.map(({ key: { name }, value: { elements } }) => {
+          let type;
+          const flags = [];
+          const context = { entity: targetIdent.name, field: name, module: moduleName };
 
-            const targetArray = property.key.name.startsWith('__') ? constraints : members;
-            targetArray.push(property);
-          }
+          const unwrapBinaryOr = (n) =>
+            n.type === 'BinaryExpression' && n.operator === '|'
+              ? [].concat(unwrapBinaryOr(n.left), unwrapBinaryOr(n.right))
+              : [n];
 
-          // Process members
-          members = members.map(({ key: { name }, value: { elements } }) => {
-            let type;
-            const flags = [];
-
-            const unwrapBinaryOr = (n) =>
-              n.type === 'BinaryExpression' && n.operator === '|'
-                ? [].concat(unwrapBinaryOr(n.left), unwrapBinaryOr(n.right))
-                : [n];
-
-            // Extract type and flags
-            unwrapBinaryOr(elements[1]).forEach((m) => {
-              if (
-                m.type === 'MemberExpression' &&
-                m.object.type === 'MemberExpression'
-              ) {
-                if (m.object.property.name === 'TYPES') {
-                  type = m.property.name.toLowerCase();
-
-                  // Handle map types
-                  if (type === 'map') {
-                    let typeStr = 'map<';
-                    if (elements[2]?.type === 'ArrayExpression') {
-                      const subElements = elements[2].elements;
-                      subElements.forEach((element, index) => {
-                        if (element?.property?.name) {
-                          typeStr += element.property.name.toLowerCase();
-                        } else {
-                          const ref = findByAliasInIdentifier(modInfo.identifiers, element.name);
-                          typeStr += ref?.name || 'unknown';
-                        }
-                        if (index < subElements.length - 1) {
-                          typeStr += ', ';
+          // Extract type and flags
+          unwrapBinaryOr(elements[1]).forEach((m) => {
+            if (
+              m.type === 'MemberExpression' &&
+              m.object.type === 'MemberExpression'
+            ) {
+              if (m.object.property.name === 'TYPES') {
+                type = m.property.name.toLowerCase();
+
+                // Handle map types
+                if (type === 'map') {
+                  let typeStr = 'map<';
+                  if (elements[2]?.type === 'ArrayExpression') {
+                    const subElements = elements[2].elements;
+                    subElements.forEach((element, index) => {
+                      if (element?.object?.property?.name === 'TYPES') {
+                        typeStr += element.property.name.toLowerCase();
+                      } else {
+                        const ref = symbols.resolveReference(moduleName, element);
+                        if (!ref) {
+                          diagnostics.report(
+                            DIAGNOSTIC_CODES.UNRESOLVED_REFERENCE,
+                            `Unable to find map value reference '${element?.name ?? element?.property?.name}'`,
+                            { ...context, alias: element?.name ?? element?.object?.name }
+                          );
                         }
-                      });
-                      typeStr += '>';
-                      type = typeStr;
-                    }
+                        typeStr += ref || 'unknown';
+                      }
+                      if (index < subElements.length - 1) {
+                        typeStr += ', ';
+                      }
+                    });
+                    typeStr += '>';
+                    type = typeStr;
                   }
-                } else if (m.object.property.name === 'FLAGS') {
-                  flags.push(m.property.name.toLowerCase());
                 }
+              } else if (m.object.property.name === 'FLAGS') {
+                flags.push(m.property.name.toLowerCase());
               }
-            });
+            }
+          });
 
-            // Handle cross-references for message/enum types
-            if (type === 'message' || type === 'enum') {
-              const currLoc = ` from member '${name}' of message ${targetIdent.name}`;
+          // Handle cross-references for message/enum types
+          if (type === 'message' || type === 'enum') {
+            const currLoc = ` from member '${name}' of message ${targetIdent.name}`;
+            const resolved = symbols.resolveReference(moduleName, elements[2]);
+
+            if (resolved) {
+              type = resolved;
+            } else if (elements[2]?.type === 'Identifier') {
+              diagnostics.report(
+                DIAGNOSTIC_CODES.UNRESOLVED_REFERENCE,
+                `Unable to find reference '${elements[2].name}'${currLoc}`,
+                { ...context, alias: elements[2].name }
+              );
+            } else if (elements[2]?.type === 'MemberExpression') {
+              diagnostics.report(
+                DIAGNOSTIC_CODES.UNRESOLVED_CROSS_REFERENCE,
+                `Unable to resolve cross-reference '${elements[2]?.object?.name}' ` +
+                `or message '${elements[2]?.property?.name}'${currLoc}`,
+                { ...context, alias: elements[2]?.object?.name }
+              );
+            }
+          }
 
-              if (elements[2]?.type === 'Identifier') {
-                const foundType = Object.values(modInfo.identifiers).find(
-                  (v) => v.alias === elements[2].name
-                )?.name;
+          if (!type) {
+            diagnostics.report(DIAGNOSTIC_CODES.MISSING_FIELD_TYPE, `No type found for member '${name}'`, context);
+          }
 
-                if (foundType) {
-                  type = foundType;
-                } else {
-                  console.warn(`⚠️  Unable to find reference '${elements[2].name}'${currLoc}`);
-                }
-              } else if (elements[2]?.type === 'MemberExpression') {
-                const crossRef = modInfo.crossRefs.find(
-                  (r) => r.alias === elements[2]?.object?.name ||
-                    r.alias === elements[2]?.object?.left?.name ||
-                    r.alias === elements[2]?.object?.callee?.name
-                );
-
-                if (elements[1]?.property?.name === 'ENUM' &&
-                  elements[2]?.property?.name?.includes('Type')) {
-                  type = rename(elements[2].property.name);
-                } else if (elements[2]?.property?.name?.includes('Spec')) {
-                  type = rename(elements[2].property.name);
-                } else if (
-                  crossRef &&
-                  crossRef.module !== '$InternalEnum' &&
-                  modulesInfo[crossRef.module]?.identifiers?.[rename(elements[2].property.name)]
-                ) {
-                  type = rename(elements[2].property.name);
-                } else {
-                  console.warn(
-                    `⚠️  Unable to resolve cross-reference '${elements[2]?.object?.name}' ` +
-                    `or message '${elements[2]?.property?.name}'${currLoc}`
+          const member = { name, id: elements[0].value, type, flags };
+          if (name in defaults) {
+            member.default = defaults[name];
+          }
+          return member;
+        });
+
+        // Process constraints (oneofs)
+        constraints.forEach((constraint) => {
+          if (
+            constraint.key.name === '__oneofs__' &&
+            constraint.value.type === 'ObjectExpression'
+          ) {
+            const newOneOfs = constraint.value.properties.map((property) => ({
+              name: property.key.name,
+              type: '__oneof__',
+              members: property.value.elements.map((element) => {
+                const idx = members.findIndex((m) => m.name === element.value);
+                if (idx === -1) {
+                  diagnostics.report(
+                    DIAGNOSTIC_CODES.ONEOF_MEMBER_NOT_FOUND,
+                    `Oneof '${property.key.name}' references unknown member '${element.value}'`,
+                    { entity: targetIdent.name, field: element.value, module: moduleName }
                   );
+                  return null;
                 }
-              }
-            }
+                const member = members[idx];
+                members.splice(idx, 1);
+                return member;
+              }).filter(Boolean),
+            }));
+            members.push(...newOneOfs);
+          }
+        });
 
-            return { name, id: elements[0].value, type, flags };
-          });
+        targetIdent.members = members;
+      }
+    }
+  }
+}
 
-          // Process constraints (oneofs)
-          constraints.forEach((constraint) => {
-            if (
-              constraint.key.name === '__oneofs__' &&
-              constraint.value.type === 'ObjectExpression'
-            ) {
-              const newOneOfs = constraint.value.properties.map((property) => ({
-                name: property.key.name,
-                type: '__oneof__',
-                members: property.value.elements.map((element) => {
-                  const idx = members.findIndex((m) => m.name === element.value);
-                  const member = members[idx];
-                  members.splice(idx, 1);
-                  return member;
-                }),
-              }));
-              members.push(...newOneOfs);
-            }
-          });
+/**
+ * Validates the requested output syntax
+ * @param {string} syntax - Output syntax
+ * @returns {string} Validated syntax
+ */
+function assertSupportedSyntax(syntax) {
+  if (!SUPPORTED_SYNTAXES.includes(syntax)) {
+    throw new Error(`Unsupported syntax "${syntax}", expected one of: ${SUPPORTED_SYNTAXES.join(', ')}`);
+  }
+  return syntax;
+}
 
-          targetIdent.members = members;
-        }
-      },
-    });
+/**
+ * Validates the requested multi-file split mode
+ * @param {string} split - Split mode
+ * @returns {string} Validated split mode
+ */
+function assertSupportedSplit(split) {
+  if (!SUPPORTED_SPLITS.includes(split)) {
+    throw new Error(`Unsupported split "${split}", expected one of: ${SUPPORTED_SPLITS.join(', ')}`);
   }
+  return split;
+}
+
+/**
+ * Creates the field label resolver for the selected output syntax.
+ * proto2 keeps `required`/`optional` exactly as the FLAGS declare them,
+ * proto3 emits implicit presence unless explicit `optional` is requested,
+ * in which case every singular field tracks presence like the web client does.
+ * @param {Object} syntaxOptions - Output syntax options
+ * @param {string} syntaxOptions.syntax - 'proto2' or 'proto3'
+ * @param {boolean} syntaxOptions.proto3Optional - Emit `optional` for singular proto3 fields
+ * @returns {Function} Resolver returning the label prefix for a field
+ */
+function createFieldLabelResolver({ syntax, proto3Optional }) {
+  return (info, completeFlags) => {
+    if (info.flags.includes('repeated')) {
+      return 'repeated ';
+    }
+
+    // Oneof members and maps never carry a label
+    if (!completeFlags || info.type?.startsWith('map<')) {
+      return '';
+    }
+
+    if (syntax === 'proto2') {
+      return info.flags.includes('required') ? 'required ' : 'optional ';
+    }
+
+    // proto3 has no `required`, explicit presence is the closest equivalent
+    return proto3Optional ? 'optional ' : '';
+  };
+}
+
+/**
+ * Formats a string or bytes value as a double-quoted proto literal. Control characters
+ * are written as octal escapes, as are the non-ASCII UTF-8 bytes of bytes values.
+ * @param {string} value - Value
+ * @param {boolean} bytes - Whether the value is of a bytes field
+ * @returns {string} Proto literal
+ */
+function formatProtoString(value, bytes) {
+  const characters = bytes ? Buffer.from(value, 'utf8').toString('latin1') : value;
+  let literal = '';
+
+  for (const character of characters) {
+    const code = character.codePointAt(0);
+    if (PROTO_STRING_ESCAPES[character]) {
+      literal += PROTO_STRING_ESCAPES[character];
+    } else if (code < 0x20 || code === 0x7f || (bytes && code > 0x7f)) {
+      literal += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      literal += character;
+    }
+  }
+
+  return `"${literal}"`;
+}
+
+/**
+ * Formats a field default value as a proto literal
+ * @param {Object} info - Field information with `type` and `default`
+ * @returns {string} Proto literal
+ */
+function formatDefaultValue(info) {
+  const value = info.default;
+
+  if (info.type === 'string' || info.type === 'bytes') return formatProtoString(String(value), info.type === 'bytes');
+  if (typeof value === 'number' && Number.isNaN(value)) return 'nan';
+  if (value === Infinity) return 'inf';
+  if (value === -Infinity) return '-inf';
+  return String(value);
 }
 
 /**
@@ -523,71 +907,81 @@ function processMessageSpecifications(modules, modulesInfo, moduleIndentationMap
  * @param {Object[]} modules - Array of modules
  * @param {Object} modulesInfo - Module information object
  * @param {Object} moduleIndentationMap - Module indentation mapping
+ * @param {Object} symbols - Symbol table naming the referenced types, see `src/symbols/index.js`
+ * @param {Object} syntaxOptions - Output syntax options, see `createFieldLabelResolver`
+ * @param {Object} context - Extraction context
  * @returns {Object} Map of decoded protobuf strings
  */
-function generateProtobufStrings(modules, modulesInfo, moduleIndentationMap) {
-  console.log('📝 Generating protobuf strings...');
+function generateProtobufStrings(modules, modulesInfo, moduleIndentationMap, symbols, syntaxOptions, context = createExtractionContext()) {
+  const { settings, logger, diagnostics } = context;
+  logger.info(`📝 Generating ${syntaxOptions.syntax} protobuf strings...`);
 
-  const { unnestName } = createIdentifierUtils();
   const decodedProtoMap = {};
-  const spaceIndent = ' '.repeat(CONFIG.indentSize);
+  const spaceIndent = ' '.repeat(settings.indentSize);
+  const getFieldLabel = createFieldLabelResolver(syntaxOptions);
+
+  // Scalars and unresolved types are written as they are
+  const formatTypeName = (type, scope) => {
+    if (type?.startsWith('map<')) {
+      const [keyType, valueType] = type.slice(4, -1).split(',').map(t => t.trim());
+      return `map<${keyType}, ${formatTypeName(valueType, scope)}>`;
+    }
+    return symbols.lookup(type) ? symbols.relativeName(type, scope) : type;
+  };
 
   // Helper functions for string generation
   const stringifyEnum = (ident, overrideName = null) =>
     [].concat(
       [`enum ${overrideName || ident.displayName || ident.name} {`],
       addPrefix(
-        ident.enumValues.map((v) => `${v.name} = ${v.id};`),
+        [].concat(
+          ident.allowAlias ? ['option allow_alias = true;'] : [],
+          ident.enumValues.map((v) => `${v.name} = ${v.id};`)
+        ),
         spaceIndent
       ),
       ['}']
     );
 
-  const stringifyMessageSpecMember = (info, completeFlags, parentName = undefined) => {
+  const stringifyMessageSpecMember = (info, completeFlags, parentName = '') => {
     if (info.type === '__oneof__') {
       return [].concat(
         [`oneof ${info.name} {`],
         addPrefix(
           [].concat(
-            ...info.members.map((m) => stringifyMessageSpecMember(m, false))
+            ...info.members.map((m) => stringifyMessageSpecMember(m, false, parentName))
           ),
           spaceIndent
         ),
         ['}']
       );
     } else {
+      const fieldLabel = getFieldLabel(info, completeFlags);
+      const fieldOptions = [];
+      let annotation = '';
+
       // Handle packed flag
-      let packedAttribute = '';
       if (info.flags.includes('packed')) {
-        info.flags.splice(info.flags.indexOf('packed'), 1);
-        packedAttribute = ' [packed=true]';
+        fieldOptions.push('packed=true');
       }
 
-      // Proto3 doesn't support required/optional for singular fields
-      // Only repeated fields are allowed, and maps are inherently repeated
-      let fieldLabel = '';
-
-      if (info.flags.includes('repeated')) {
-        fieldLabel = 'repeated ';
-      }
-      // Remove any proto2-style labels that aren't valid in proto3
-      const validFlags = info.flags.filter(flag =>
-        !['required', 'optional'].includes(flag)
-      );
-
-      if (validFlags.includes('repeated')) {
-        fieldLabel = 'repeated ';
+      // proto3 has no default option, so defaults are kept as an annotation
+      // the compiler turns back into runtime defaults
+      if (info.default !== undefined && !info.flags.includes('repeated')) {
+        const defaultValue = formatDefaultValue(info);
+        if (syntaxOptions.syntax === 'proto2') {
+          fieldOptions.push(`default = ${defaultValue}`);
+        } else {
+          annotation = ` ${DEFAULT_ANNOTATION_PREFIX}${defaultValue}`;
+        }
       }
 
-      const indentation = moduleIndentationMap[info.type]?.indentation;
-      let typeName = unnestName(info.type);
+      const optionsAttribute = fieldOptions.length ? ` [${fieldOptions.join(', ')}]` : '';
 
-      if (indentation !== parentName && indentation) {
-        typeName = `${indentation.replaceAll('$', '.')}.${typeName}`;
-      }
+      const typeName = formatTypeName(info.type, parentName);
 
       return [
-        `${fieldLabel}${typeName} ${info.name} = ${info.id}${packedAttribute};`
+        `${fieldLabel}${typeName} ${info.name} = ${info.id}${optionsAttribute};${annotation}`
       ];
     }
   };
@@ -612,20 +1006,15 @@ function generateProtobufStrings(modules, modulesInfo, moduleIndentationMap) {
     if (members?.size) {
       const sortedMembers = Array.from(members).sort();
       for (const memberName of sortedMembers) {
-        // Get modInfo from the current context
-        const currentModInfo = modulesInfo[Object.keys(modulesInfo).find(key =>
-          modulesInfo[key].identifiers && modulesInfo[key].identifiers[memberName]
-        )];
-
-        if (currentModInfo) {
-          const entity = currentModInfo.identifiers[memberName];
-          if (entity) {
-            const displayName = entity.name.slice(ident.name.length + 1);
-            const entityWithDisplay = { ...entity, displayName };
-            result.push(...addPrefix(getEntity(entityWithDisplay), spaceIndent));
-          } else {
-            console.warn(`⚠️  Missing nested entity: ${memberName}`);
-          }
+        const entity = symbols.lookup(memberName)?.ident;
+        if (entity) {
+          const displayName = entity.name.slice(ident.name.length + 1);
+          const entityWithDisplay = { ...entity, displayName };
+          result.push(...addPrefix(getEntity(entityWithDisplay), spaceIndent));
+        } else {
+          diagnostics.report(DIAGNOSTIC_CODES.MISSING_NESTED_ENTITY, `Missing nested entity: ${memberName}`, {
+            entity: ident.name
+          });
         }
       }
     }
@@ -640,6 +1029,10 @@ function generateProtobufStrings(modules, modulesInfo, moduleIndentationMap) {
     } else if (entity.enumValues?.length) {
       return stringifyEnum(entity);
     } else {
+      diagnostics.report(DIAGNOSTIC_CODES.UNKNOWN_ENTITY, `Entity is neither a message nor an enum: ${entity.name}`, {
+        entity: entity.name,
+        alias: entity.alias
+      });
       return [`// Unknown entity ${entity.name}`];
     }
   };
@@ -665,89 +1058,528 @@ function generateProtobufStrings(modules, modulesInfo, moduleIndentationMap) {
   return decodedProtoMap;
 }
 
+/**
+ * Returns the domain a WhatsApp module belongs to, e.g. `WAWebProtobufsE2E.pb` -> `e2e`
+ * @param {string} moduleName - WhatsApp module name
+ * @returns {string} Domain name
+ */
+function getModuleDomain(moduleName) {
+  const stem = moduleName
+    .replace(/\.pb$/, '')
+    .replace(/^WA(Web)?Protobufs?/, '');
+  const domain = stem.match(/^[A-Z0-9]+(?![a-z])|^[A-Z]?[a-z0-9]+/)?.[0] || stem;
+  return (domain || moduleName).toLowerCase();
+}
+
+/**
+ * Returns the top-level entities referenced by the type of a member
+ * @param {Object} member - Message member or oneof
+ * @returns {string[]} Top-level entity names
+ */
+function getReferencedEntities(member) {
+  if (member.type === '__oneof__') {
+    return member.members.flatMap(getReferencedEntities);
+  }
+
+  const typeNames = member.type?.startsWith('map<')
+    ? member.type.slice(4, -1).split(',').map(t => t.trim())
+    : [member.type];
+
+  return typeNames.filter(Boolean).map(name => name.split('$')[0]);
+}
+
+/**
+ * Groups top-level entities into output files and derives their imports
+ * from the entities each file references
+ * @param {Object} modulesInfo - Module information object
+ * @param {Object} decodedProtoMap - Map of top-level entity name to proto string
+ * @param {string} split - 'module' for one file per WhatsApp module, 'domain' per top-level domain
+ * @param {Object} diagnostics - Diagnostic collector
+ * @returns {Object[]} Files with `fileName`, `entities` and `imports`
+ */
+function groupEntitiesIntoFiles(modulesInfo, decodedProtoMap, split, diagnostics = createDiagnosticCollector()) {
+  const fileNameOf = (moduleName) => split === 'domain'
+    ? `${getModuleDomain(moduleName)}.proto`
+    : `${moduleName.replace(/\.pb$/, '').replace(/[^\w.-]/g, '_')}.proto`;
+
+  const entityFiles = {};
+  const references = {};
+
+  for (const [moduleName, modInfo] of Object.entries(modulesInfo)) {
+    for (const ident of Object.values(modInfo.identifiers || {})) {
+      const topLevel = ident.name.split('$')[0];
+
+      if (ident.name === topLevel && topLevel in decodedProtoMap) {
+        entityFiles[topLevel] = fileNameOf(moduleName);
+      }
+
+      references[topLevel] = references[topLevel] || new Set();
+      for (const member of ident.members || []) {
+        getReferencedEntities(member).forEach(name => references[topLevel].add(name));
+      }
+    }
+  }
+
+  const files = {};
+  for (const entity of Object.keys(decodedProtoMap).sort()) {
+    const fileName = entityFiles[entity];
+    files[fileName] = files[fileName] || { fileName, entities: [], imports: new Set() };
+    files[fileName].entities.push(entity);
+
+    for (const referenced of references[entity] || []) {
+      const target = entityFiles[referenced];
+      if (target && target !== fileName) {
+        files[fileName].imports.add(target);
+      }
+    }
+  }
+
+  for (const file of Object.values(files)) {
+    for (const target of file.imports) {
+      if (files[target]?.imports.has(file.fileName)) {
+        diagnostics.report(DIAGNOSTIC_CODES.CIRCULAR_IMPORT, `Circular import between ${file.fileName} and ${target}`);
+      }
+    }
+  }
+
+  return Object.values(files)
+    .map(file => ({ ...file, imports: [...file.imports].sort() }))
+    .sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0));
+}
+
+/**
+ * Renders a complete .proto file
+ * @param {Object} syntaxOptions - Output syntax options
+ * @param {Object} file - File parts
+ * @param {string} file.version - WhatsApp version
+ * @param {string[]} file.imports - Imported file names
+ * @param {string[]} file.contents - Entity proto strings
+ * @param {string} file.importKind - Import modifier, e.g. 'public'
+ * @param {number} file.entityCount - Entity count reported in the header
+ * @returns {string} File content
+ */
+function renderProtoFile(syntaxOptions, { version, imports = [], contents = [], importKind = '', entityCount = contents.length }) {
+  const importLines = imports.map(file => `import ${importKind ? `${importKind} ` : ''}"${file}";`);
+
+  return [
+    `syntax = "${syntaxOptions.syntax}";`,
+    `package ${PROTO_PACKAGE};`,
+    '',
+    ...(importLines.length ? [...importLines, ''] : []),
+    `/// WhatsApp Version: ${version}`,
+    `/// Entities found: ${entityCount}`,
+    '',
+    contents.join('\n')
+  ].join('\n');
+}
+
+/**
+ * Returns the path of the JSON IR written alongside a .proto file
+ * @param {string} protoPath - Output .proto path
+ * @returns {string} IR path
+ */
+const getIRPath = (protoPath) => protoPath.replace(/(\.proto)?$/, '.ir.json');
+
+/**
+ * Returns the path of the JSON Schema written alongside a .proto file
+ * @param {string} protoPath - Output .proto path
+ * @returns {string} JSON Schema path
+ */
+const getJSONSchemaPath = (protoPath) => protoPath.replace(/(\.proto)?$/, '.schema.json');
+
 /**
  * Ensures output directory exists
  * @param {string} filePath - Output file path
+ * @param {Object} logger - Logger
  */
-async function ensureOutputDirectory(filePath) {
+async function ensureOutputDirectory(filePath, logger) {
   const dir = dirname(resolve(filePath));
 
   if (!existsSync(dir)) {
-    console.log(`📁 Creating directory: ${dir}`);
+    logger.info(`📁 Creating directory: ${dir}`);
     await mkdir(dir, { recursive: true });
   }
 }
 
+/**
+ * Hashes the sources that shape the generated schema, so a changed extractor
+ * invalidates the last build even when the bundle did not change
+ * @returns {Promise<string>} Generator hash
+ */
+async function getGeneratorHash() {
+  const sources = [
+    'extractors/index.js',
+    'ir/index.js',
+    'jsonschema/index.js',
+    'validators/index.js',
+    'patches/index.js',
+    'symbols/index.js',
+    'parser/index.js'
+  ].map(file => resolve(projectRoot, 'src', file));
+  return hashContent(Object.values(await hashFiles(sources)).join('\n'));
+}
+
+/**
+ * Formats the phase timings of an extraction for the logs, e.g. `crawl 120ms, parse 80ms`
+ * @param {Object} timings - Milliseconds per phase
+ * @returns {string} Formatted timings
+ */
+const formatTimings = (timings) => Object.entries(timings)
+  .filter(([phase]) => phase !== 'total')
+  .map(([phase, duration]) => `${phase} ${duration}ms`)
+  .join(', ');
+
 /**
  * Main function to extract WhatsApp protobuf schema
- * @param {string} outputPath - Optional output file path
- * @returns {Promise<string>} Path to generated file
+ * @param {string|Object} outputPath - Output .proto path, or the options object
+ * @param {Object} options - Extraction options. Every `CONFIG` key can be overridden too,
+ *   e.g. `baseURL`, `indentSize` or the retry policy (`requestTimeout`, `retryAttempts`, `retryDelay`)
+ * @param {Object|string} options.source - Source specification, see `createSource`.
+ *   Defaults to fetching live from WhatsApp Web.
+ * @param {string} options.outputPath - Output .proto path, when the options are the only argument
+ * @param {string|null} options.irPath - Output path of the JSON IR, next to the .proto by default, null to skip it
+ * @param {string|null} options.jsonSchemaPath - Output path of the JSON Schema, next to the .proto by default, null to skip it
+ * @param {string|null} options.versionFile - File recording the extracted version, null to skip it
+ * @param {string} options.syntax - Output syntax, 'proto2' or 'proto3'
+ * @param {boolean} options.proto3Optional - Emit explicit `optional` labels in proto3 output
+ * @param {string} options.split - Write one file per source 'module' or per 'domain'
+ *   next to the output path, which then only imports them
+ * @param {boolean} options.archive - Store the schema in the versioned archive, defaults to true
+ * @param {string} options.archiveDir - Archive directory
+ * @param {boolean} options.strict - Fail without writing anything when an error diagnostic occurs
+ * @param {boolean} options.cache - Serve downloaded scripts from the local cache, defaults to true
+ * @param {string} options.cacheDir - Cache directory, also holding the state of the last build
+ * @param {number|null} options.cacheMaxAge - Milliseconds an unused download stays cached, null for no limit
+ * @param {number|null} options.cacheMaxSize - Bytes of cached downloads, the least recently used go first, null for no limit
+ * @param {string|Object|null} options.patches - Patch file, patch rules, or null to apply none.
+ *   Defaults to `data/patches.json`, see `src/patches/index.js`
+ * @param {boolean} options.force - Extract even when the bundle did not change since the last build
+ * @param {number} options.workers - Parse modules in that many worker threads, in-process when 0
+ * @param {Object|boolean} options.logger - Logger, see `src/logger/index.js`, false to log nothing
+ * @param {boolean} options.silent - Log nothing
+ * @returns {Promise<Object>} Extraction result: `path` of the generated file, written `files`,
+ *   `version`, `clientRevision`, `bundleHash`, top-level `entities`, collected `diagnostics`
+ *   (see `src/diagnostics/index.js`), `timings` in milliseconds per phase and in `total`,
+ *   and whether extraction was `skipped` because nothing changed since the last build
  */
-async function extractProtobuf(outputPath = CONFIG.defaultOutputPath) {
+async function extractProtobuf(outputPath, options = {}) {
+  if (outputPath && typeof outputPath === 'object') {
+    options = outputPath;
+    outputPath = options.outputPath;
+  }
+
   const startTime = Date.now();
-  console.log('🚀 Starting WhatsApp protobuf extraction...\n');
+  const context = createExtractionContext(options);
+  const { settings, logger, diagnostics } = context;
+  const timings = {};
+
+  const timed = async (phase, step) => {
+    const phaseStart = Date.now();
+    try {
+      return await step();
+    } finally {
+      timings[phase] = Date.now() - phaseStart;
+    }
+  };
+
+  logger.info('🚀 Starting WhatsApp protobuf extraction...\n');
 
   try {
-    // Find and parse modules
-    const modules = await findAppModules();
+    outputPath = resolve(outputPath || settings.defaultOutputPath);
+    const irPath = options.irPath === null ? null : resolve(options.irPath || getIRPath(outputPath));
+    const jsonSchemaPath = options.jsonSchemaPath === null
+      ? null
+      : resolve(options.jsonSchemaPath || getJSONSchemaPath(outputPath));
+    const syntaxOptions = {
+      syntax: assertSupportedSyntax(settings.syntax),
+      proto3Optional: settings.proto3Optional
+    };
+    let source = options.source ? await createSource(options.source) : createDefaultSource(context);
+    const downloadCache = source.type === 'http' && options.cache !== false
+      ? createDownloadCache(settings.cacheDir, { maxAge: settings.cacheMaxAge, maxSize: settings.cacheMaxSize })
+      : null;
+    if (downloadCache) {
+      source = createCachingSource(source, downloadCache);
+    }
+
+    const probe = await timed('probe', () => probeBundle(source, context));
+
+    // Skip everything else when the last build saw the same bundle with the same options.
+    // Chunk URLs are versioned and listed by the bootstrap, so an unchanged bootstrap of
+    // the same client revision means an unchanged bundle, and nothing else is crawled.
+    const stateKey = `extract:${outputPath}`;
+    const buildFingerprint = {
+      clientRevision: probe.clientRevision,
+      bootstrapHash: probe.bootstrapHash,
+      generatorHash: await getGeneratorHash(),
+      syntax: syntaxOptions.syntax,
+      proto3Optional: syntaxOptions.proto3Optional,
+      split: options.split || null,
+      indentSize: settings.indentSize,
+      patchesHash: hashContent(JSON.stringify(context.patches.rules)),
+      irPath,
+      jsonSchemaPath
+    };
+    const lastBuild = options.force ? null : await readBuildState(stateKey, settings.cacheDir);
+    if (
+      lastBuild &&
+      Object.entries(buildFingerprint).every(([key, value]) => lastBuild[key] === value) &&
+      !(options.strict && lastBuild.errors > 0) &&
+      await outputsUnchanged(lastBuild.outputs)
+    ) {
+      logger.info(`\n⏭️  Bundle unchanged since the last build (${lastBuild.bundleHash}), skipping extraction`);
+      await downloadCache?.prune(logger);
+      timings.total = Date.now() - startTime;
+
+      return {
+        path: outputPath,
+        files: Object.keys(lastBuild.outputs),
+        version: probe.version,
+        clientRevision: probe.clientRevision,
+        bundleHash: lastBuild.bundleHash,
+        entities: lastBuild.entities || [],
+        diagnostics: diagnostics.list(),
+        timings,
+        skipped: true
+      };
+    }
+
+    // Crawl chunks
+    const metadata = {};
+    const scripts = await timed('crawl', () => crawlChunks(source, metadata, context, probe));
+    await downloadCache?.prune(logger);
+
+    // Parse modules
+    const modules = await timed('parse', () => parseChunkModules(scripts, metadata, context));
 
     if (modules.length === 0) {
       throw new Error('No relevant modules found');
     }
 
-    // Build module cross-references
-    const modulesInfo = buildModuleCrossReferences(modules);
+    const { modulesInfo, moduleIndentationMap, symbols } = await timed('analyze', () => {
+      // Build module cross-references
+      const modulesInfo = buildModuleCrossReferences(modules, context);
+
+      // Process identifiers and enums
+      const moduleIndentationMap = processModuleIdentifiers(modules, modulesInfo, context);
 
-    // Process identifiers and enums
-    const moduleIndentationMap = processModuleIdentifiers(modules, modulesInfo);
+      // Resolve type references through the symbol table of all modules
+      const symbols = createSymbolTable(modulesInfo, {
+        rename: createIdentifierUtils(context.patches).makeRenameFunc(),
+        packageName: PROTO_PACKAGE
+      });
 
-    // Process message specifications
-    processMessageSpecifications(modules, modulesInfo, moduleIndentationMap);
+      // Process message specifications
+      processMessageSpecifications(modules, modulesInfo, symbols, context);
 
-    // Generate protobuf strings
-    const decodedProtoMap = generateProtobufStrings(modules, modulesInfo, moduleIndentationMap);
+      // Apply the field renames and type overrides, then tell which patch rules fired
+      context.patches.applyModelOverrides(modulesInfo);
+      context.patches.report(context);
 
-    // Create final protobuf file content
-    const sortedEntities = Object.keys(decodedProtoMap).sort();
-    const protobufContent = sortedEntities.map(entity => decodedProtoMap[entity]).join('\n');
+      return { modulesInfo, moduleIndentationMap, symbols };
+    });
 
-    const finalContent = [
-      'syntax = "proto3";',
-      'package proto;',
-      '',
-      `/// WhatsApp Version: ${whatsAppVersion}`,
-      `/// Generated on: ${new Date().toISOString()}`,
-      `/// Entities found: ${sortedEntities.length}`,
-      '',
-      protobufContent
-    ].join('\n');
+    // Check the model and apply safe fixes before anything is generated
+    logger.info('🔎 Validating schema...');
+    await timed('validate', () => validateSchemaModel(modulesInfo, syntaxOptions, diagnostics));
 
-    // Ensure output directory exists and write file
-    await ensureOutputDirectory(outputPath);
-    await writeFile(outputPath, finalContent, 'utf8');
+    const { decodedProtoMap, sortedEntities, singleFileContent, files } = await timed('generate', () => {
+      // Generate protobuf strings
+      const decodedProtoMap = generateProtobufStrings(modules, modulesInfo, moduleIndentationMap, symbols, syntaxOptions, context);
+      const sortedEntities = Object.keys(decodedProtoMap).sort();
 
-    const duration = Date.now() - startTime;
-    const resolvedPath = resolve(outputPath);
+      // Make sure protobufjs loads the generated schema as a whole
+      const singleFileContent = renderProtoFile(syntaxOptions, {
+        version: metadata.version,
+        contents: sortedEntities.map(entity => decodedProtoMap[entity])
+      });
+      validateProtoText(singleFileContent, diagnostics);
 
-    console.log('\n✅ Extraction completed successfully!');
-    console.log(`📄 File: ${resolvedPath}`);
-    console.log(`📊 Entities: ${sortedEntities.length}`);
-    console.log(`📱 Version: ${whatsAppVersion}`);
-    console.log(`⏱️  Duration: ${duration}ms`);
+      // One file per module or domain, the output path becomes an index re-exporting all of them
+      const files = options.split
+        ? groupEntitiesIntoFiles(modulesInfo, decodedProtoMap, assertSupportedSplit(options.split), diagnostics)
+        : null;
 
-    return resolvedPath;
+      return { decodedProtoMap, sortedEntities, singleFileContent, files };
+    });
+
+    // Never write a schema with errors in strict mode
+    const errors = diagnostics.errors();
+    if (options.strict && errors.length > 0) {
+      const error = new Error(`Strict mode: ${errors.length} error diagnostic(s) found, schema not written`);
+      error.diagnostics = diagnostics.list();
+      throw error;
+    }
+
+    // Build the JSON intermediate representation
+    const ir = buildSchemaIR(modulesInfo, { whatsappVersion: metadata.version, syntax: syntaxOptions.syntax });
+
+    const writtenFiles = await timed('write', async () => {
+      // Ensure output directory exists
+      await ensureOutputDirectory(outputPath, logger);
+
+      const writtenFiles = [outputPath];
+      if (irPath) {
+        await writeFile(irPath, JSON.stringify(ir, null, 2), 'utf8');
+        writtenFiles.push(irPath);
+      }
+      if (jsonSchemaPath) {
+        await writeFile(jsonSchemaPath, JSON.stringify(buildJSONSchema(ir), null, 2), 'utf8');
+        writtenFiles.push(jsonSchemaPath);
+      }
+
+      if (files) {
+        for (const file of files) {
+          const content = renderProtoFile(syntaxOptions, {
+            version: metadata.version,
+            imports: file.imports,
+            contents: file.entities.map(entity => decodedProtoMap[entity])
+          });
+          const filePath = resolve(dirname(outputPath), file.fileName);
+          await writeFile(filePath, content, 'utf8');
+          writtenFiles.push(filePath);
+          logger.info(`📄 Wrote ${file.fileName} (${file.entities.length} entities)`);
+        }
+
+        const indexContent = renderProtoFile(syntaxOptions, {
+          version: metadata.version,
+          imports: files.map(file => file.fileName),
+          importKind: 'public',
+          entityCount: sortedEntities.length
+        });
+        await writeFile(outputPath, indexContent, 'utf8');
+      } else {
+        await writeFile(outputPath, singleFileContent, 'utf8');
+      }
+
+      // Keep a copy of this version's schema
+      if (options.archive !== false) {
+        await archiveSchema({
+          version: metadata.version,
+          files: writtenFiles,
+          metadata: {
+            ...metadata,
+            syntax: syntaxOptions.syntax,
+            entities: sortedEntities.length,
+            protoFile: basename(outputPath),
+            extractedAt: new Date().toISOString()
+          }
+        }, settings.archiveDir, logger);
+      }
+
+      await writeBuildState(stateKey, {
+        ...buildFingerprint,
+        bundleHash: metadata.bundleHash,
+        errors: errors.length,
+        entities: sortedEntities,
+        outputs: await hashFiles(writtenFiles)
+      }, settings.cacheDir);
+
+      return writtenFiles;
+    });
+
+    timings.total = Date.now() - startTime;
+
+    logger.info('\n✅ Extraction completed successfully!');
+    logger.info(`📄 File: ${outputPath}`);
+    if (irPath) {
+      logger.info(`🧾 IR: ${irPath}`);
+    }
+    if (jsonSchemaPath) {
+      logger.info(`🧩 JSON Schema: ${jsonSchemaPath}`);
+    }
+    logger.info(`📊 Entities: ${sortedEntities.length}`);
+    logger.info(`📦 Chunks: ${metadata.chunks.length} crawled`);
+    for (const chunk of metadata.chunks.filter(c => c.modules.length)) {
+      const entityCount = ir.entities.filter(entity => entity.chunk === chunk.url).length;
+      logger.info(`   ${chunk.url}: ${chunk.modules.length} modules, ${entityCount} entities`);
+    }
+    logger.info(`📱 Version: ${metadata.version}`);
+    logger.info(`🩺 Diagnostics: ${errors.length} errors, ${diagnostics.warnings().length} warnings`);
+    logger.info(`⏱️  Duration: ${timings.total}ms (${formatTimings(timings)})`);
+
+    return {
+      path: outputPath,
+      files: writtenFiles,
+      version: metadata.version,
+      clientRevision: metadata.clientRevision,
+      bundleHash: metadata.bundleHash,
+      entities: sortedEntities,
+      diagnostics: diagnostics.list(),
+      timings,
+      skipped: false
+    };
 
   } catch (error) {
-    console.error('\n❌ Extraction failed:', error.message);
+    logger.error(`\n❌ Extraction failed: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Parses extractor command line arguments
+ * @param {string[]} args - Command line arguments
+ * @param {Object} extraOptions - Additional `parseArgs` option definitions of the calling command
+ * @returns {Object} Output path, extraction options and the raw parsed `values`
+ */
+function parseExtractorArgs(args, extraOptions = {}) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...extraOptions,
+      source: { type: 'string' },
+      'base-url': { type: 'string' },
+      sw: { type: 'string' },
+      script: { type: 'string', multiple: true },
+      syntax: { type: 'string' },
+      'proto3-optional': { type: 'boolean' },
+      split: { type: 'string' },
+      'no-archive': { type: 'boolean' },
+      'archive-dir': { type: 'string' },
+      strict: { type: 'boolean' },
+      'no-cache': { type: 'boolean' },
+      'cache-dir': { type: 'string' },
+      force: { type: 'boolean' },
+      workers: { type: 'string' },
+      patches: { type: 'string' },
+      'no-patches': { type: 'boolean' },
+      int64: { type: 'string' },
+    },
+  });
+
+  let source = values.source;
+  if (values.sw) {
+    source = { serviceWorker: values.sw, scripts: values.script || [] };
+  }
+
+  return {
+    outputPath: positionals[0],
+    values,
+    options: {
+      source,
+      baseURL: values['base-url'],
+      syntax: values.syntax,
+      proto3Optional: values['proto3-optional'],
+      split: values.split,
+      archive: !values['no-archive'],
+      archiveDir: values['archive-dir'],
+      strict: values.strict,
+      cache: !values['no-cache'],
+      cacheDir: values['cache-dir'],
+      force: values.force,
+      workers: values.workers === undefined ? undefined : Number(values.workers),
+      patches: values['no-patches'] ? null : values.patches,
+      int64: values.int64
+    }
+  };
+}
+
 // CLI execution
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const outputPath = process.argv[2];
-  extractProtobuf(outputPath)
-    .then(path => {
+  const { outputPath, options } = parseExtractorArgs(process.argv.slice(2));
+  extractProtobuf(outputPath, options)
+    .then(({ path }) => {
       console.log(`\n🎉 Success! Protobuf schema saved to: ${path}`);
       process.exit(0);
     })
@@ -759,7 +1591,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
 export {
   extractProtobuf,
+  createExtractionContext,
+  createDefaultSource,
+  extractClientRevision,
   findAppModules,
+  crawlChunks,
+  parseChunkModules,
+  parseExtractorArgs,
+  getIRPath,
+  getJSONSchemaPath,
+  SUPPORTED_SYNTAXES,
+  SUPPORTED_SPLITS,
+  DEFAULT_ANNOTATION_PREFIX,
   CONFIG,
   createRequestHeaders,
   makeRequestWithRetry
@@ -0,0 +1,350 @@
+import protobuf from 'protobufjs';
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { WIRE_TYPES, loadCodecRoot, parsePayloadInput, scanWireFields } from '../codec/index.js';
+
+const WIRE_TYPE_NAMES = {
+  [WIRE_TYPES.VARINT]: 'varint',
+  [WIRE_TYPES.I64]: 'i64',
+  [WIRE_TYPES.LEN]: 'len',
+  [WIRE_TYPES.SGROUP]: 'group',
+  [WIRE_TYPES.I32]: 'i32'
+};
+
+// Wire type each scalar is encoded with, everything else is length-delimited
+const SCALAR_WIRE_TYPES = {
+  int32: WIRE_TYPES.VARINT,
+  int64: WIRE_TYPES.VARINT,
+  uint32: WIRE_TYPES.VARINT,
+  uint64: WIRE_TYPES.VARINT,
+  sint32: WIRE_TYPES.VARINT,
+  sint64: WIRE_TYPES.VARINT,
+  bool: WIRE_TYPES.VARINT,
+  fixed64: WIRE_TYPES.I64,
+  sfixed64: WIRE_TYPES.I64,
+  double: WIRE_TYPES.I64,
+  fixed32: WIRE_TYPES.I32,
+  sfixed32: WIRE_TYPES.I32,
+  float: WIRE_TYPES.I32
+};
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decodes bytes as UTF-8 text when they are valid and printable
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string|null} Text
+ */
+function tryDecodeText(bytes) {
+  try {
+    const text = utf8Decoder.decode(bytes);
+    return /^[^\x00-\x08\x0e-\x1f\x7f]*$/.test(text) ? text : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scans bytes as a nested message, returning null when they are not one
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {Object[]|null} Wire fields
+ */
+function tryScanMessage(bytes) {
+  if (!bytes.length) return null;
+  try {
+    return scanWireFields(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dumps a payload without a schema, showing every field number and wire type.
+ * Length-delimited values list their possible readings: nested message and/or text.
+ * @param {Uint8Array} bytes - Payload
+ * @param {number} maxDepth - Maximum nesting depth to expand
+ * @returns {Object[]} Raw fields
+ */
+function dumpRawFields(bytes, maxDepth = 8) {
+  return scanWireFields(bytes).map(({ fieldNumber, wireType, offset, length, value }) => {
+    const field = { fieldNumber, wireType: WIRE_TYPE_NAMES[wireType], offset, length };
+
+    if (wireType !== WIRE_TYPES.LEN) {
+      field.value = wireType === WIRE_TYPES.SGROUP ? Buffer.from(value).toString('hex') : value;
+      return field;
+    }
+
+    field.bytes = Buffer.from(value).toString('hex');
+
+    const text = tryDecodeText(value);
+    if (text !== null) {
+      field.text = text;
+    }
+
+    const nested = maxDepth > 0 ? tryScanMessage(value) : null;
+    if (nested) {
+      field.nested = dumpRawFields(value, maxDepth - 1);
+    }
+
+    return field;
+  });
+}
+
+/**
+ * Formats a raw dump as indented text
+ * @param {Object[]} fields - Result of `dumpRawFields`
+ * @param {string} indent - Current indentation
+ * @returns {string} Text dump
+ */
+function formatRawDump(fields, indent = '') {
+  const lines = [];
+
+  for (const field of fields) {
+    const head = `${indent}#${field.fieldNumber} ${field.wireType}`;
+
+    if (field.wireType !== 'len') {
+      lines.push(`${head} = ${field.value}`);
+      continue;
+    }
+
+    const preview = field.bytes.length > 64 ? `${field.bytes.slice(0, 64)}…` : field.bytes;
+    lines.push(`${head} [${field.bytes.length / 2} bytes] ${preview}`);
+    if (field.text !== undefined) {
+      lines.push(`${indent}  text: ${JSON.stringify(field.text)}`);
+    }
+    if (field.nested) {
+      lines.push(`${indent}  message:`, formatRawDump(field.nested, `${indent}    `));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Lists every message type of a root
+ * @param {Object} namespace - protobufjs namespace
+ * @returns {Object[]} Message types
+ */
+function collectMessageTypes(namespace) {
+  return namespace.nestedArray.flatMap((nested) => [
+    ...(nested instanceof protobuf.Type ? [nested] : []),
+    ...(nested.nestedArray ? collectMessageTypes(nested) : [])
+  ]);
+}
+
+/**
+ * Weight of the evidence found at a nesting level: a field decoded deep into
+ * sub-messages is less likely to fit by chance than a top-level one
+ * @param {number} level - Nesting level, 0 for the payload itself
+ * @returns {number} Weight
+ */
+const levelWeight = (level) => 1 + level;
+
+// Bytes fit any length-delimited value, so they are weaker evidence than checked fields
+const BYTES_MATCH_WEIGHT = 0.5;
+
+/**
+ * Checks whether a wire field fits a schema field and collects the evidence
+ * @param {Object} field - protobufjs field
+ * @param {Object} wireField - Wire field
+ * @param {number} depth - Remaining nesting depth
+ * @param {number} level - Nesting level of the wire field
+ * @returns {Object} Whether the field itself `fits`, counts of `matched`, `mismatched`
+ *   and `unknown` fields, their `weight`ed evidence and the nested fields the schema does not explain
+ */
+function fitField(field, wireField, depth, level) {
+  const scalarWire = field.resolvedType instanceof protobuf.Enum
+    ? WIRE_TYPES.VARINT
+    : SCALAR_WIRE_TYPES[field.type];
+  const result = { fits: true, matched: 0, mismatched: 0, unknown: 0, weight: 0, unexplained: [] };
+  const match = (strength = 1) => {
+    result.matched++;
+    result.weight += strength * levelWeight(level);
+    return result;
+  };
+  const mismatch = () => {
+    result.fits = false;
+    result.mismatched++;
+    result.weight -= 2 * levelWeight(level);
+    return result;
+  };
+
+  if (field.map || scalarWire === undefined) {
+    if (wireField.wireType !== WIRE_TYPES.LEN) {
+      return mismatch();
+    }
+
+    if (field.type === 'string' && tryDecodeText(wireField.value) === null) {
+      mismatch();
+    } else if (!field.map && field.resolvedType instanceof protobuf.Type && depth > 0 && wireField.value.length) {
+      const nested = tryScanMessage(wireField.value);
+      if (!nested) {
+        mismatch();
+      } else {
+        const fit = fitMessage(field.resolvedType, nested, depth - 1, level + 1);
+        match();
+        result.matched += fit.matched;
+        result.mismatched += fit.mismatched;
+        result.unknown += fit.unknown;
+        result.weight += fit.weight;
+        result.unexplained = fit.unexplained.map(u => ({ ...u, path: `${field.name}.${u.path}` }));
+      }
+    } else {
+      match(field.type === 'bytes' ? BYTES_MATCH_WEIGHT : 1);
+    }
+    return result;
+  }
+
+  // Packed repeated scalars are length-delimited
+  const packed = field.repeated && wireField.wireType === WIRE_TYPES.LEN;
+  if (wireField.wireType !== scalarWire && !packed) {
+    return mismatch();
+  }
+  return match();
+}
+
+/**
+ * Scores how well wire fields fit a message type
+ * @param {Object} type - protobufjs type
+ * @param {Object[]} wireFields - Wire fields of the payload
+ * @param {number} depth - Remaining nesting depth
+ * @param {number} level - Nesting level of the wire fields, 0 for the payload itself
+ * @returns {Object} Counts, the `weight`ed evidence and the wire fields the type does not explain
+ */
+function fitMessage(type, wireFields, depth, level = 0) {
+  const fit = { matched: 0, mismatched: 0, unknown: 0, weight: 0, unexplained: [] };
+
+  for (const wireField of wireFields) {
+    const field = type.fieldsById[wireField.fieldNumber];
+
+    if (!field) {
+      fit.unknown++;
+      fit.weight -= levelWeight(level);
+      fit.unexplained.push({
+        path: String(wireField.fieldNumber),
+        fieldNumber: wireField.fieldNumber,
+        wireType: WIRE_TYPE_NAMES[wireField.wireType],
+        reason: 'unknown field number'
+      });
+      continue;
+    }
+
+    const result = fitField(field, wireField, depth, level);
+    fit.matched += result.matched;
+    fit.mismatched += result.mismatched;
+    fit.unknown += result.unknown;
+    fit.weight += result.weight;
+    fit.unexplained.push(...result.unexplained);
+
+    if (!result.fits) {
+      fit.unexplained.push({
+        path: field.name,
+        fieldNumber: wireField.fieldNumber,
+        wireType: WIRE_TYPE_NAMES[wireField.wireType],
+        field: field.name,
+        reason: `does not fit ${field.repeated ? 'repeated ' : ''}${field.type}`
+      });
+    }
+  }
+
+  return fit;
+}
+
+/**
+ * Ranks every known message type by how well a payload fits it
+ * @param {Object} root - protobufjs root, see `loadCodecRoot`
+ * @param {Uint8Array} bytes - Payload
+ * @param {Object} options - Ranking options
+ * @param {number} options.top - Number of candidates to return
+ * @param {number} options.depth - Nesting depth used as evidence
+ * @returns {Object[]} Candidates, best first, with `type`, `score`, `coverage` and `unexplained` fields
+ */
+function guessMessageType(root, bytes, { top = 5, depth = 3 } = {}) {
+  const wireFields = scanWireFields(bytes);
+  if (!wireFields.length) {
+    return [];
+  }
+
+  const distinctNumbers = new Set(wireFields.map(f => f.fieldNumber));
+
+  const candidates = collectMessageTypes(root).map((type) => {
+    const fit = fitMessage(type, wireFields, depth);
+    const covered = [...distinctNumbers].filter(n => type.fieldsById[n]).length;
+
+    return {
+      type: type.fullName.slice(1),
+      score: Math.round(fit.weight * 1000) / 1000,
+      // Only breaks ties, in favour of specific types over ones with hundreds of fields
+      coverage: Math.round(covered / Math.max(type.fieldsArray.length, 1) * 1000) / 1000,
+      matched: fit.matched,
+      mismatched: fit.mismatched,
+      unknown: fit.unknown,
+      unexplained: fit.unexplained
+    };
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score || b.coverage - a.coverage || (a.type < b.type ? -1 : 1))
+    .slice(0, top);
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      hex: { type: 'string' },
+      base64: { type: 'string' },
+      file: { type: 'string', short: 'f' },
+      version: { type: 'string' },
+      proto: { type: 'string' },
+      top: { type: 'string', default: '5' },
+      depth: { type: 'string', default: '3' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  const run = async () => {
+    const [command] = positionals;
+    if (!['dump', 'guess'].includes(command)) {
+      throw new Error('Usage: node src/inspect/index.js (dump | guess) (--hex <hex> | --base64 <b64> | --file <bin>)');
+    }
+
+    const input = values.hex ?? values.base64 ?? await readFile(values.file);
+    const encoding = values.hex !== undefined ? 'hex' : values.base64 !== undefined ? 'base64' : 'binary';
+    const bytes = parsePayloadInput(input, encoding);
+
+    if (command === 'dump') {
+      const fields = dumpRawFields(bytes);
+      console.log(values.json ? JSON.stringify(fields, null, 2) : formatRawDump(fields));
+      return;
+    }
+
+    const root = await loadCodecRoot({ version: values.version, protoPath: values.proto });
+    const candidates = guessMessageType(root, bytes, { top: Number(values.top), depth: Number(values.depth) });
+
+    if (values.json) {
+      console.log(JSON.stringify(candidates, null, 2));
+      return;
+    }
+
+    for (const candidate of candidates) {
+      console.log(`${candidate.score.toFixed(3)}  ${candidate.type}  (${candidate.matched} matched, ${candidate.mismatched} mismatched, ${candidate.unknown} unknown)`);
+      for (const field of candidate.unexplained) {
+        console.log(`         ${field.path} (#${field.fieldNumber} ${field.wireType}): ${field.reason}`);
+      }
+    }
+  };
+
+  run().catch(error => {
+    console.error('💥', error.message);
+    process.exit(1);
+  });
+}
+
+export {
+  WIRE_TYPE_NAMES,
+  dumpRawFields,
+  formatRawDump,
+  guessMessageType
+};
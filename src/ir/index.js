@@ -0,0 +1,201 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * JSON intermediate representation (IR) of the extracted schema.
+ *
+ * The IR records every entity found in the WhatsApp Web bundle together with
+ * the information the `.proto` text drops: source module, JS alias and raw flags.
+ * Names use proto notation relative to the `proto` package (`Message.ImageMessage`),
+ * `jsName` keeps the client naming (`Message$ImageMessage`).
+ *
+ * {
+ *   format: 'whatsapp-proto-ir',
+ *   formatVersion: 1,
+ *   whatsappVersion: '2.3000.1026752675',
+ *   package: 'proto',
+ *   syntax: 'proto3',
+ *   modules: { [moduleName]: { chunk, dependencies: string[] } },
+ *   entities: [
+ *     { kind: 'message', name, jsName, parent, module, chunk, alias,
+ *       fields: [{ name, id, type, typeKind, keyType?, valueTypeKind?, label, flags, packed, oneof, default? }],
+ *       oneofs: [{ name, fields: string[] }] },
+ *     { kind: 'enum', name, jsName, parent, module, chunk, alias, values: [{ name, id }], allowAlias? }
+ *   ]
+ * }
+ *
+ * `typeKind` is 'scalar', 'message', 'enum', 'map' or 'unresolved'. Map fields
+ * carry the key type in `keyType`, the value type in `type` and its kind in `valueTypeKind`.
+ * `label` is 'optional', 'required' or 'repeated', maps count as repeated.
+ */
+
+const IR_FORMAT = 'whatsapp-proto-ir';
+const IR_FORMAT_VERSION = 1;
+
+const SCALAR_TYPES = [
+  'double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64',
+  'fixed32', 'fixed64', 'sfixed32', 'sfixed64', 'bool', 'string', 'bytes'
+];
+
+/**
+ * Converts a client entity name to proto notation, e.g. `Message$ImageMessage` -> `Message.ImageMessage`
+ * @param {string} jsName - Client entity name
+ * @returns {string} Proto name
+ */
+const toProtoName = (jsName) => jsName.replaceAll('$', '.');
+
+/**
+ * Builds the IR field entries of a message
+ * @param {Object[]} members - Message members, oneofs included
+ * @param {Function} kindOf - Returns the entity kind of a client type name
+ * @returns {Object} Fields and oneofs
+ */
+function buildFields(members, kindOf) {
+  const fields = [];
+  const oneofs = [];
+
+  const describeType = (type) => {
+    if (SCALAR_TYPES.includes(type)) return { type, typeKind: 'scalar' };
+    const typeKind = kindOf(type);
+    return { type: typeKind === 'unresolved' ? type : toProtoName(type), typeKind };
+  };
+
+  const addField = (member, oneof) => {
+    let typeInfo;
+
+    if (member.type?.startsWith('map<')) {
+      const [keyType, valueType] = member.type.slice(4, -1).split(',').map(t => t.trim());
+      const value = describeType(valueType);
+      typeInfo = { type: value.type, typeKind: 'map', keyType, valueTypeKind: value.typeKind };
+    } else {
+      typeInfo = describeType(member.type);
+    }
+
+    const field = {
+      name: member.name,
+      id: member.id,
+      ...typeInfo,
+      label: member.flags.includes('repeated') || typeInfo.typeKind === 'map'
+        ? 'repeated'
+        : member.flags.includes('required') ? 'required' : 'optional',
+      flags: [...member.flags].sort(),
+      packed: member.flags.includes('packed'),
+      oneof
+    };
+
+    if (member.default !== undefined) {
+      field.default = member.default;
+    }
+
+    fields.push(field);
+  };
+
+  for (const member of members) {
+    if (member.type === '__oneof__') {
+      oneofs.push({ name: member.name, fields: member.members.map(m => m.name) });
+      member.members.forEach(m => addField(m, member.name));
+    } else {
+      addField(member, null);
+    }
+  }
+
+  fields.sort((a, b) => a.id - b.id);
+  return { fields, oneofs };
+}
+
+/**
+ * Builds the JSON IR from the processed module information
+ * @param {Object} modulesInfo - Module information object, after identifiers and specs were processed
+ * @param {Object} meta - Schema metadata
+ * @param {string} meta.whatsappVersion - WhatsApp client version
+ * @param {string} meta.syntax - Syntax of the generated `.proto`
+ * @returns {Object} Schema IR
+ */
+function buildSchemaIR(modulesInfo, { whatsappVersion, syntax }) {
+  const identifiers = new Map();
+  for (const modInfo of Object.values(modulesInfo)) {
+    for (const ident of Object.values(modInfo.identifiers || {})) {
+      identifiers.set(ident.name, ident);
+    }
+  }
+
+  const kindOf = (type) => {
+    const ident = identifiers.get(type);
+    if (ident?.members) return 'message';
+    if (ident?.enumValues?.length) return 'enum';
+    return 'unresolved';
+  };
+
+  const modules = {};
+  const entities = [];
+
+  for (const [moduleName, modInfo] of Object.entries(modulesInfo)) {
+    modules[moduleName] = {
+      chunk: modInfo.chunk ?? null,
+      dependencies: [...new Set(modInfo.crossRefs.map(ref => ref.module).filter(Boolean))].sort()
+    };
+
+    for (const ident of Object.values(modInfo.identifiers || {})) {
+      const nesting = ident.name.split('$').slice(0, -1).join('$');
+      const entity = {
+        kind: kindOf(ident.name),
+        name: toProtoName(ident.name),
+        jsName: ident.name,
+        parent: nesting ? toProtoName(nesting) : null,
+        module: moduleName,
+        chunk: modInfo.chunk ?? null,
+        alias: ident.alias || null
+      };
+
+      if (entity.kind === 'message') {
+        Object.assign(entity, buildFields(ident.members, kindOf));
+      } else if (entity.kind === 'enum') {
+        entity.values = ident.enumValues.map(({ name, id }) => ({ name, id }));
+        if (ident.allowAlias) {
+          entity.allowAlias = true;
+        }
+      } else {
+        continue;
+      }
+
+      entities.push(entity);
+    }
+  }
+
+  entities.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  return {
+    format: IR_FORMAT,
+    formatVersion: IR_FORMAT_VERSION,
+    whatsappVersion,
+    package: 'proto',
+    syntax,
+    modules,
+    entities
+  };
+}
+
+/**
+ * Loads and checks a schema IR file
+ * @param {string} filePath - Path to the IR JSON file
+ * @returns {Promise<Object>} Schema IR
+ */
+async function loadSchemaIR(filePath) {
+  const ir = JSON.parse(await readFile(filePath, 'utf8'));
+
+  if (ir?.format !== IR_FORMAT) {
+    throw new Error(`${filePath} is not a schema IR file`);
+  }
+  if (ir.formatVersion > IR_FORMAT_VERSION) {
+    throw new Error(`Unsupported IR format version ${ir.formatVersion} in ${filePath}`);
+  }
+
+  return ir;
+}
+
+export {
+  IR_FORMAT,
+  IR_FORMAT_VERSION,
+  SCALAR_TYPES,
+  buildSchemaIR,
+  loadSchemaIR
+};
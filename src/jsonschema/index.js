@@ -0,0 +1,150 @@
+import protobuf from 'protobufjs';
+
+/**
+ * JSON Schema (draft 2020-12) of the extracted schema.
+ *
+ * Describes the plain objects of `toJSON()`, i.e. `toObject` with `util.toJSONOptions`:
+ * enums as value names, 64-bit integers as decimal strings, bytes as base64 and
+ * non-finite floats as "NaN", "Infinity" and "-Infinity". Every message and enum is a
+ * `$defs` entry named after its fully qualified name, e.g. `proto.Message.ImageMessage`:
+ *
+ *   { "$ref": "whatsapp.schema.json#/$defs/proto.WebMessageInfo" }
+ *
+ * The fields of a oneof exclude each other, and required fields of proto2 schemas are required.
+ */
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const INT32_RANGE = { minimum: -2147483648, maximum: 2147483647 };
+const UINT32_RANGE = { minimum: 0, maximum: 4294967295 };
+
+const SCALAR_SCHEMAS = {
+  double: { anyOf: [{ type: 'number' }, { enum: ['NaN', 'Infinity', '-Infinity'] }] },
+  float: { anyOf: [{ type: 'number' }, { enum: ['NaN', 'Infinity', '-Infinity'] }] },
+  int32: { type: 'integer', ...INT32_RANGE },
+  sint32: { type: 'integer', ...INT32_RANGE },
+  sfixed32: { type: 'integer', ...INT32_RANGE },
+  uint32: { type: 'integer', ...UINT32_RANGE },
+  fixed32: { type: 'integer', ...UINT32_RANGE },
+  int64: { type: 'string', pattern: '^-?[0-9]+$' },
+  sint64: { type: 'string', pattern: '^-?[0-9]+$' },
+  sfixed64: { type: 'string', pattern: '^-?[0-9]+$' },
+  uint64: { type: 'string', pattern: '^[0-9]+$' },
+  fixed64: { type: 'string', pattern: '^[0-9]+$' },
+  bool: { type: 'boolean' },
+  string: { type: 'string' },
+  bytes: { type: 'string', contentEncoding: 'base64' }
+};
+
+/**
+ * Returns the `$defs` key of an entity
+ * @param {string} name - Proto name relative to the package
+ * @param {string} packageName - Proto package
+ * @returns {string} Definition name
+ */
+const toDefinitionName = (name, packageName) => `${packageName}.${name}`;
+
+/**
+ * Returns the schema of a single value of an IR field
+ * @param {string} type - Scalar type or entity name
+ * @param {string} typeKind - Kind of the type, see `src/ir/index.js`
+ * @param {string} packageName - Proto package
+ * @returns {Object} Value schema
+ */
+function valueSchema(type, typeKind, packageName) {
+  if (typeKind === 'scalar') {
+    return { ...SCALAR_SCHEMAS[type] };
+  }
+  if (typeKind === 'message' || typeKind === 'enum') {
+    return { $ref: `#/$defs/${toDefinitionName(type, packageName)}` };
+  }
+  return {};
+}
+
+/**
+ * Returns the schema of an IR field
+ * @param {Object} field - IR field
+ * @param {string} packageName - Proto package
+ * @returns {Object} Field schema
+ */
+function fieldSchema(field, packageName) {
+  if (field.typeKind === 'map') {
+    return { type: 'object', additionalProperties: valueSchema(field.type, field.valueTypeKind, packageName) };
+  }
+
+  const value = valueSchema(field.type, field.typeKind, packageName);
+  return field.label === 'repeated' ? { type: 'array', items: value } : value;
+}
+
+/**
+ * Returns the schema of an IR message
+ * @param {Object} entity - IR message
+ * @param {Object} options - Schema options
+ * @param {string} options.packageName - Proto package
+ * @param {boolean} options.requiredFields - Whether required fields are required
+ * @returns {Object} Message schema
+ */
+function messageSchema(entity, { packageName, requiredFields }) {
+  // toObject names the properties like the static classes do
+  const propertyName = (fieldName) => protobuf.util.camelCase(fieldName);
+
+  const schema = {
+    title: toDefinitionName(entity.name, packageName),
+    type: 'object',
+    properties: Object.fromEntries(entity.fields.map(field => [propertyName(field.name), fieldSchema(field, packageName)])),
+    additionalProperties: false
+  };
+
+  const required = requiredFields
+    ? entity.fields.filter(field => field.label === 'required').map(field => propertyName(field.name))
+    : [];
+  if (required.length) {
+    schema.required = required;
+  }
+
+  // At most one field of every oneof is set
+  const oneofs = entity.oneofs.map((oneof) => {
+    const members = oneof.fields.map(name => ({ required: [propertyName(name)] }));
+    return { oneOf: [...members, { not: { anyOf: members } }] };
+  });
+  if (oneofs.length === 1) {
+    Object.assign(schema, oneofs[0]);
+  } else if (oneofs.length > 1) {
+    schema.allOf = oneofs;
+  }
+
+  return schema;
+}
+
+/**
+ * Returns the schema of an IR enum
+ * @param {Object} entity - IR enum
+ * @param {string} packageName - Proto package
+ * @returns {Object} Enum schema
+ */
+const enumSchema = (entity, packageName) => ({
+  title: toDefinitionName(entity.name, packageName),
+  type: 'string',
+  enum: [...new Set(entity.values.map(value => value.name))]
+});
+
+/**
+ * Builds the JSON Schema of the extracted schema
+ * @param {Object} ir - Schema IR, see `src/ir/index.js`
+ * @returns {Object} JSON Schema document
+ */
+function buildJSONSchema(ir) {
+  const options = { packageName: ir.package, requiredFields: ir.syntax === 'proto2' };
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: `WhatsApp ${ir.whatsappVersion} schema`,
+    description: 'Plain objects of the messages and enums, as converted by toJSON()',
+    $defs: Object.fromEntries(ir.entities.map(entity => [
+      toDefinitionName(entity.name, ir.package),
+      entity.kind === 'enum' ? enumSchema(entity, ir.package) : messageSchema(entity, options)
+    ]))
+  };
+}
+
+export { JSON_SCHEMA_DIALECT, buildJSONSchema };
@@ -0,0 +1,51 @@
+/**
+ * Loggers used by the library functions.
+ *
+ * A logger is any object with `info`, `warn` and `error` methods taking a message,
+ * e.g. `console` or a pino/winston instance. Missing methods are ignored.
+ */
+
+const LOG_LEVELS = ['info', 'warn', 'error'];
+
+const noop = () => {};
+
+/**
+ * Logger discarding every message
+ */
+const silentLogger = Object.freeze(Object.fromEntries(LOG_LEVELS.map(level => [level, noop])));
+
+/**
+ * Creates the default logger printing to the console
+ * @returns {Object} Logger
+ */
+const createConsoleLogger = () => ({
+  info: (message) => console.log(message),
+  warn: (message) => console.warn(message),
+  error: (message) => console.error(message)
+});
+
+/**
+ * Resolves the logger option of a library function
+ * @param {Object|boolean} logger - Logger, `false` for silence, console when undefined
+ * @returns {Object} Logger with every level
+ */
+function resolveLogger(logger) {
+  if (logger === undefined || logger === true) {
+    return createConsoleLogger();
+  }
+  if (!logger) {
+    return silentLogger;
+  }
+
+  return Object.fromEntries(LOG_LEVELS.map(level => [
+    level,
+    typeof logger[level] === 'function' ? logger[level].bind(logger) : noop
+  ]));
+}
+
+export {
+  LOG_LEVELS,
+  silentLogger,
+  createConsoleLogger,
+  resolveLogger
+};
@@ -0,0 +1,197 @@
+import * as acorn from 'acorn';
+import { Worker } from 'worker_threads';
+
+// Start of every module definition of the bundle, `__d("name",[deps],factory,flags)`
+const MODULE_START_PATTERN = /__d\(\s*"([^"\\]+)"/g;
+
+/**
+ * Recursively extracts all expressions from an AST node
+ * @param {Object} node - AST node
+ * @returns {Object[]} Array of expressions
+ */
+const extractAllExpressions = (node) => {
+  if (!node) return [];
+
+  const expressions = [node];
+  const exp = node.expression;
+
+  if (exp) {
+    expressions.push(exp);
+  }
+
+  // Handle arguments with body
+  if (node?.expression?.arguments?.length) {
+    for (const arg of node.expression.arguments) {
+      if (arg?.body?.body?.length) {
+        for (const exp of arg.body.body) {
+          expressions.push(...extractAllExpressions(exp));
+        }
+      }
+    }
+  }
+
+  // Handle node body
+  if (node?.body?.body?.length) {
+    for (const exp of node.body.body) {
+      if (exp.expression) {
+        expressions.push(...extractAllExpressions(exp.expression));
+      }
+    }
+  }
+
+  // Handle expression sequences
+  if (node.expression?.expressions?.length) {
+    for (const exp of node.expression.expressions) {
+      expressions.push(...extractAllExpressions(exp));
+    }
+  }
+
+  return expressions;
+};
+
+/**
+ * Tells whether a protobuf module name may only re-export specs of other modules
+ * @param {string} name - Module name
+ * @returns {boolean} True for `.pb` modules
+ */
+const isProtobufModuleName = (name) => typeof name === 'string' && name.endsWith('.pb');
+
+/**
+ * Tells whether a parsed statement is a module declaring an `internalSpec`,
+ * or a protobuf (`.pb`) module only re-exporting specs of other modules
+ * @param {Object} statement - Top-level AST statement
+ * @returns {boolean} True when the module is relevant
+ */
+function isSpecModule(statement) {
+  if (isProtobufModuleName(statement.expression?.arguments?.[0]?.value)) {
+    return true;
+  }
+  return extractAllExpressions(statement).some(expr => expr?.left?.property?.name === 'internalSpec');
+}
+
+/**
+ * Finds the source range of every module definition without parsing the script.
+ * A range spans from a module start to the next one.
+ * @param {string} script - Script content
+ * @returns {Object[]} Ranges with the module `name`, `start` and `end` offsets
+ */
+function findModuleRanges(script) {
+  const starts = [...script.matchAll(MODULE_START_PATTERN)];
+
+  return starts.map((match, index) => ({
+    name: match[1],
+    start: match.index,
+    end: index + 1 < starts.length ? starts[index + 1].index : script.length
+  }));
+}
+
+/**
+ * Parses module source fragments and keeps the spec modules
+ * @param {string[]} fragments - Module sources, see `findModuleRanges`
+ * @returns {Object[]} Per fragment, the parsed module or null when it is not a spec module
+ */
+function parseModuleFragments(fragments) {
+  return fragments.map((fragment) => {
+    const statement = acorn.parse(fragment, { ecmaVersion: 'latest' }).body
+      .find(node => node.expression?.callee?.name === '__d');
+    return statement && isSpecModule(statement) ? statement : null;
+  });
+}
+
+/**
+ * Parses a script and keeps the spec modules, see `isSpecModule`. Only the module
+ * ranges mentioning a spec are parsed, and the whole script when splitting it failed,
+ * e.g. because a string literal contains a module start.
+ * @param {string} script - Script content
+ * @param {Object} pool - Parser pool parsing the ranges in worker threads, see `createParserPool`
+ * @returns {Promise<Object[]>} Parsed modules, each with its `sourceText`
+ */
+async function parseSpecModules(script, pool = null) {
+  // Chunks without any spec are only crawled for further chunks
+  if (!script.includes('internalSpec')) {
+    return [];
+  }
+
+  const fragments = findModuleRanges(script)
+    .filter(range => isProtobufModuleName(range.name) || script.slice(range.start, range.end).includes('internalSpec'))
+    .map(range => script.slice(range.start, range.end));
+
+  try {
+    const modules = pool ? await pool.parse(fragments) : parseModuleFragments(fragments);
+    return modules
+      .map((module, index) => module && Object.assign(module, {
+        sourceText: fragments[index].slice(module.start, module.end)
+      }))
+      .filter(Boolean);
+  } catch {
+    return acorn.parse(script, { ecmaVersion: 'latest' }).body
+      .filter(isSpecModule)
+      .map(module => Object.assign(module, { sourceText: script.slice(module.start, module.end) }));
+  }
+}
+
+/**
+ * Creates a pool of worker threads parsing module fragments
+ * @param {number} size - Number of workers
+ * @returns {Object} Pool with `parse(fragments)` and `close()`
+ */
+function createParserPool(size) {
+  const workers = Array.from({ length: size }, () => new Worker(new URL('./worker.js', import.meta.url)));
+  const pending = new Map();
+  let nextId = 0;
+
+  for (const worker of workers) {
+    worker.on('message', ({ id, modules, error }) => {
+      const { resolve, reject } = pending.get(id);
+      pending.delete(id);
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(modules);
+      }
+    });
+    worker.on('error', (error) => {
+      for (const { reject } of pending.values()) reject(error);
+      pending.clear();
+    });
+  }
+
+  const run = (worker, fragments) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, fragments });
+  });
+
+  return {
+    /**
+     * Parses fragments, spread evenly over the workers
+     * @param {string[]} fragments - Module sources
+     * @returns {Promise<Object[]>} Same result as `parseModuleFragments`
+     */
+    async parse(fragments) {
+      const batchSize = Math.ceil(fragments.length / workers.length);
+      const batches = workers
+        .map((worker, index) => [worker, fragments.slice(index * batchSize, (index + 1) * batchSize)])
+        .filter(([, batch]) => batch.length);
+
+      const results = await Promise.all(batches.map(([worker, batch]) => run(worker, batch)));
+      return results.flat();
+    },
+
+    /**
+     * Terminates the workers
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+export {
+  extractAllExpressions,
+  findModuleRanges,
+  parseModuleFragments,
+  parseSpecModules,
+  createParserPool
+};
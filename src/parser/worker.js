@@ -0,0 +1,11 @@
+import { parentPort } from 'worker_threads';
+import { parseModuleFragments } from './index.js';
+
+// Parses the module fragments posted by `createParserPool`
+parentPort.on('message', ({ id, fragments }) => {
+  try {
+    parentPort.postMessage({ id, modules: parseModuleFragments(fragments) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,252 @@
+/**
+ * Declarative patches applied while extracting the schema, replacing fixes hard-coded
+ * in the extractor.
+ *
+ * A patch file is JSON with four optional rule lists:
+ *  - `sourcePatches`: `{ find, replace, regex }` replaces text in every chunk before it is parsed
+ *  - `entityRenames`: `{ from, to }` renames an entity, its nested entities and every reference to them
+ *  - `fieldRenames`: `{ entity, from, to }` renames a field or oneof of a message
+ *  - `typeOverrides`: `{ entity, field, type }` replaces the type of a field
+ *
+ * Entity and type names use the proto notation, e.g. `Message.ImageMessage`. The `entity`
+ * of field renames and type overrides, and the `type` of overrides, may be named as in the
+ * bundle or as renamed by `entityRenames`: `{ entity: 'Chat' }` next to a `Chat` -> `ChatInfo`
+ * rename patches `ChatInfo`. Every rule may carry a `description`. The patch set counts how often each rule fired, so rules
+ * that no longer match the bundle can be reported and removed.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { DIAGNOSTIC_CODES } from '../diagnostics/index.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const DEFAULT_PATCHES_PATH = resolve(projectRoot, 'data/patches.json');
+
+// Required string properties of every rule kind
+const RULE_KINDS = {
+  sourcePatches: ['find', 'replace'],
+  entityRenames: ['from', 'to'],
+  fieldRenames: ['entity', 'from', 'to'],
+  typeOverrides: ['entity', 'field', 'type']
+};
+
+/**
+ * Converts a proto name to the `$`-nested name used by the model, e.g. `Message.ImageMessage` -> `Message$ImageMessage`
+ * @param {string} name - Proto name
+ * @returns {string} Model name
+ */
+const toModelName = (name) => name.replaceAll('.', '$');
+
+/**
+ * Validates the rules of a patch file
+ * @param {Object} rules - Parsed patch file
+ * @param {string} origin - Where the rules come from, for error messages
+ * @returns {Object} Rules with every list present
+ */
+function validatePatchRules(rules, origin) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Invalid patches in ${origin}: expected an object`);
+  }
+
+  const unknownKeys = Object.keys(rules).filter(key => !(key in RULE_KINDS) && !key.startsWith('$'));
+  if (unknownKeys.length) {
+    throw new Error(`Invalid patches in ${origin}: unknown rule list(s) ${unknownKeys.join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(RULE_KINDS).map(([kind, required]) => {
+    const list = rules[kind] ?? [];
+    if (!Array.isArray(list)) {
+      throw new Error(`Invalid patches in ${origin}: ${kind} must be an array`);
+    }
+
+    list.forEach((rule, index) => {
+      // An empty replacement is a valid source patch
+      const missing = required.filter(key =>
+        typeof rule?.[key] !== 'string' || (!rule[key].length && key !== 'replace')
+      );
+      if (missing.length) {
+        throw new Error(`Invalid patches in ${origin}: ${kind}[${index}] needs ${missing.join(', ')}`);
+      }
+    });
+
+    return [kind, list];
+  }));
+}
+
+/**
+ * Loads patch rules
+ * @param {string|Object|null} patches - Patch file path, rules object, or null for no patches
+ * @returns {Object} Validated rules
+ */
+function loadPatchRules(patches = DEFAULT_PATCHES_PATH) {
+  if (!patches) {
+    return validatePatchRules({}, 'empty patches');
+  }
+  if (typeof patches === 'object') {
+    return validatePatchRules(patches, 'patch options');
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(patches, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load patches from ${patches}: ${error.message}`);
+  }
+  return validatePatchRules(rules, patches);
+}
+
+/**
+ * Describes a rule for the logs
+ * @param {string} kind - Rule list the rule belongs to
+ * @param {Object} rule - Rule
+ * @returns {string} Description
+ */
+function describeRule(kind, rule) {
+  if (rule.description) return rule.description;
+
+  switch (kind) {
+    case 'sourcePatches': return `source ${JSON.stringify(rule.find)} -> ${JSON.stringify(rule.replace)}`;
+    case 'entityRenames': return `entity ${rule.from} -> ${rule.to}`;
+    case 'fieldRenames': return `field ${rule.entity}.${rule.from} -> ${rule.to}`;
+    default: return `type of ${rule.entity}.${rule.field} -> ${rule.type}`;
+  }
+}
+
+/**
+ * Creates the patch set applied by the extractor
+ * @param {Object} rules - Validated rules, see `loadPatchRules`
+ * @returns {Object} Patch set with `patchSource`, `renameEntity`, `applyModelOverrides` and `report`
+ */
+function createPatchSet(rules = loadPatchRules(null)) {
+  const entries = Object.entries(RULE_KINDS).flatMap(([kind]) =>
+    rules[kind].map(rule => ({ kind, rule, matches: 0 }))
+  );
+  const ofKind = (kind) => entries.filter(entry => entry.kind === kind);
+
+  const sourcePatches = ofKind('sourcePatches').map(entry => ({
+    entry,
+    pattern: entry.rule.regex ? new RegExp(entry.rule.find, 'g') : entry.rule.find
+  }));
+
+  const entityRenames = ofKind('entityRenames').map(entry => ({
+    entry,
+    from: toModelName(entry.rule.from),
+    to: toModelName(entry.rule.to),
+    renamed: new Set()
+  }));
+
+  /**
+   * Finds the entity rename applying to a name
+   * @param {string} name - `$`-nested entity name
+   * @returns {Object|undefined} Rename
+   */
+  const findRename = (name) => entityRenames.find(rename => name === rename.from || name.startsWith(`${rename.from}$`));
+
+  /**
+   * Returns the name an entity has once renamed
+   * @param {string} name - `$`-nested entity name, as in the bundle or renamed already
+   * @returns {string} Renamed entity name
+   */
+  const renamedName = (name) => {
+    const rename = findRename(name);
+    return rename ? rename.to + name.slice(rename.from.length) : name;
+  };
+
+  return {
+    rules,
+
+    /**
+     * Applies the source patches to a chunk
+     * @param {string} script - Chunk content
+     * @returns {string} Patched content
+     */
+    patchSource(script) {
+      return sourcePatches.reduce((patched, { entry, pattern }) => {
+        const count = typeof pattern === 'string'
+          ? patched.split(pattern).length - 1
+          : patched.match(pattern)?.length ?? 0;
+        if (count === 0) return patched;
+
+        entry.matches += count;
+        return typeof pattern === 'string'
+          ? patched.replaceAll(pattern, () => entry.rule.replace)
+          : patched.replace(pattern, entry.rule.replace);
+      }, script);
+    },
+
+    /**
+     * Applies the entity renames to an entity name, nested entities follow their parent
+     * @param {string} name - `$`-nested entity name
+     * @returns {string} Renamed entity name
+     */
+    renameEntity(name) {
+      const rename = findRename(name);
+      if (rename && !rename.renamed.has(name)) {
+        rename.renamed.add(name);
+        rename.entry.matches++;
+      }
+      return renamedName(name);
+    },
+
+    /**
+     * Applies the field renames and type overrides to the processed messages
+     * @param {Object} modulesInfo - Module information object
+     */
+    applyModelOverrides(modulesInfo) {
+      const messages = new Map();
+      for (const modInfo of Object.values(modulesInfo)) {
+        for (const ident of Object.values(modInfo.identifiers || {})) {
+          if (ident.members) messages.set(ident.name, ident);
+        }
+      }
+
+      // Rules may name the entity as in the bundle or as renamed
+      const findMessage = (entity) => messages.get(renamedName(toModelName(entity))) ?? messages.get(toModelName(entity));
+
+      // Oneofs are listed along with their members
+      const findFields = (entity, name) => (findMessage(entity)?.members || [])
+        .flatMap(member => member.type === '__oneof__' ? [member, ...member.members] : [member])
+        .filter(member => member.name === name);
+
+      for (const entry of ofKind('fieldRenames')) {
+        for (const field of findFields(entry.rule.entity, entry.rule.from)) {
+          field.name = entry.rule.to;
+          entry.matches++;
+        }
+      }
+
+      for (const entry of ofKind('typeOverrides')) {
+        for (const field of findFields(entry.rule.entity, entry.rule.field)) {
+          if (field.type === '__oneof__') continue;
+          field.type = renamedName(toModelName(entry.rule.type));
+          entry.matches++;
+        }
+      }
+    },
+
+    /**
+     * Logs the rules that fired and reports the ones that matched nothing
+     * @param {Object} context - Extraction context providing the logger and diagnostics
+     */
+    report({ logger, diagnostics }) {
+      for (const { kind, rule, matches } of entries) {
+        if (matches > 0) {
+          logger.info(`🩹 Patch applied ${matches}x: ${describeRule(kind, rule)}`);
+        } else {
+          diagnostics.report(
+            DIAGNOSTIC_CODES.UNMATCHED_PATCH_RULE,
+            `Patch rule matched nothing and may be obsolete: ${describeRule(kind, rule)}`
+          );
+        }
+      }
+    }
+  };
+}
+
+export {
+  DEFAULT_PATCHES_PATH,
+  loadPatchRules,
+  createPatchSet
+};
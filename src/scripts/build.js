@@ -1,18 +1,52 @@
-import { extractProtobuf } from "../extractors/index.js";
-import { compileProtobuf } from "../compilers/index.js";
-
-
-async function build() {
-  try {
-    await extractProtobuf();
-    
-    await compileProtobuf();
-    console.log('🏗️ Build process completed successfully!');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Error during build process:', error);
-    process.exit(1);
+import { extractProtobuf, parseExtractorArgs } from "../extractors/index.js";
+import { compileProtobuf, isCompileUpToDate } from "../compilers/index.js";
+import { resolveLogger } from "../logger/index.js";
+
+
+/**
+ * Extracts the schema and compiles it, skipping compilation when nothing changed
+ * @param {Object} options - Extraction options, see `extractProtobuf`
+ * @param {boolean} options.compile - Compile the extracted schema, defaults to true
+ * @param {string} options.int64 - 64-bit integer mode of the compiled package, see `compileProtobuf`
+ * @returns {Promise<Object>} Extraction result, with `compiled` telling whether compilation ran
+ *   and the `compile` duration added to the `timings` when it did
+ */
+async function build(options = {}) {
+  const logger = resolveLogger(options.silent ? false : options.logger);
+  const result = await extractProtobuf(options);
+  const compileOptions = {
+    protoPath: result.path,
+    syntax: options.syntax,
+    versionFile: options.versionFile,
+    int64: options.int64,
+    cacheDir: options.cacheDir,
+    logger
+  };
+
+  if (options.compile === false) {
+    return { ...result, compiled: false };
+  }
+
+  if (result.skipped && !options.force && await isCompileUpToDate(compileOptions)) {
+    logger.info('⏭️  Compiled package is up to date, skipping compilation');
+    return { ...result, compiled: false };
   }
+
+  const { duration } = await compileProtobuf(compileOptions);
+  return { ...result, timings: { ...result.timings, compile: duration }, compiled: true };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { outputPath, options } = parseExtractorArgs(process.argv.slice(2));
+
+  build({ ...options, outputPath })
+    .then(() => {
+      console.log('🏗️ Build process completed successfully!');
+    })
+    .catch(error => {
+      console.error('❌ Error during build process:', error);
+      process.exitCode = 1;
+    });
 }
 
-build();
\ No newline at end of file
+export { build };
@@ -0,0 +1,185 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { basename, resolve } from 'path';
+
+/**
+ * A source provides the raw WhatsApp Web scripts the extractor works on.
+ *
+ * Every source exposes the same shape:
+ *  - `type`: source kind ('http', 'files', 'directory' or 'har')
+ *  - `describe()`: human readable description used in logs
+ *  - `getServiceWorker()`: resolves to the `sw.js` content
+ *  - `getScript(url, options)`: resolves to the content of a script referenced by URL,
+ *    `options.bootstrap` is set for the main bootstrap script imported by the service worker
+ */
+
+/**
+ * Returns the file name of a script URL, ignoring query string and hash
+ * @param {string} url - Script URL
+ * @returns {string} File name
+ */
+const scriptFileName = (url) => {
+  try {
+    return basename(new URL(url).pathname);
+  } catch {
+    return basename(url.split(/[?#]/)[0]);
+  }
+};
+
+/**
+ * Picks the file matching a script URL from a list of local files.
+ * The main bootstrap script falls back to the only candidate when there is exactly
+ * one, e.g. a renamed download; other chunks must match by file name.
+ * @param {string[]} files - Local file paths
+ * @param {string} url - Requested script URL
+ * @param {boolean} bootstrap - Whether the URL is the main bootstrap script
+ * @returns {string} Matching file path
+ */
+function matchScriptFile(files, url, bootstrap = false) {
+  const name = scriptFileName(url);
+  const match = files.find(file => basename(file) === name);
+
+  if (match) return match;
+  if (bootstrap && files.length === 1) return files[0];
+
+  throw new Error(`No local script matches ${url}`);
+}
+
+/**
+ * Creates a source that fetches scripts from WhatsApp Web over HTTP
+ * @param {Object} options - Source options
+ * @param {string} options.baseURL - WhatsApp Web base URL
+ * @param {Function} options.fetch - Function fetching a URL and resolving to its body
+ * @returns {Object} Source
+ */
+function createHttpSource({ baseURL, fetch }) {
+  return {
+    type: 'http',
+    describe: () => baseURL,
+    getServiceWorker: () => fetch(`${baseURL}/sw.js`),
+    getScript: (url) => fetch(url),
+  };
+}
+
+/**
+ * Creates a source reading a saved service worker and bundle files
+ * @param {Object} options - Source options
+ * @param {string} options.serviceWorker - Path to the saved `sw.js`
+ * @param {string[]} options.scripts - Paths to the saved bundle files
+ * @returns {Object} Source
+ */
+function createFilesSource({ serviceWorker, scripts = [] }) {
+  if (!serviceWorker) {
+    throw new Error('A service worker file is required for a files source');
+  }
+
+  const files = scripts.map(file => resolve(file));
+
+  return {
+    type: 'files',
+    describe: () => resolve(serviceWorker),
+    getServiceWorker: () => readFile(resolve(serviceWorker), 'utf8'),
+    getScript: async (url, options = {}) => readFile(matchScriptFile(files, url, options.bootstrap), 'utf8'),
+  };
+}
+
+/**
+ * Creates a source reading `sw.js` and downloaded JS chunks from a directory
+ * @param {string} directory - Directory holding `sw.js` and the chunks
+ * @returns {Object} Source
+ */
+function createDirectorySource(directory) {
+  const root = resolve(directory);
+
+  const listScripts = async () => {
+    const entries = await readdir(root);
+    return entries
+      .filter(entry => entry.endsWith('.js') && entry !== 'sw.js')
+      .map(entry => resolve(root, entry));
+  };
+
+  return {
+    type: 'directory',
+    describe: () => root,
+    getServiceWorker: () => readFile(resolve(root, 'sw.js'), 'utf8'),
+    getScript: async (url, options = {}) => readFile(matchScriptFile(await listScripts(), url, options.bootstrap), 'utf8'),
+  };
+}
+
+/**
+ * Creates a source reading responses recorded in a browser HAR export
+ * @param {string} harPath - Path to the `.har` file
+ * @returns {Object} Source
+ */
+function createHarSource(harPath) {
+  let entriesPromise;
+
+  const loadEntries = () => {
+    entriesPromise = entriesPromise || readFile(resolve(harPath), 'utf8').then((content) => {
+      const har = JSON.parse(content);
+      return (har?.log?.entries || [])
+        .filter(entry => typeof entry?.response?.content?.text === 'string')
+        .map(entry => ({
+          url: entry.request.url,
+          text: entry.response.content.encoding === 'base64'
+            ? Buffer.from(entry.response.content.text, 'base64').toString('utf8')
+            : entry.response.content.text,
+        }));
+    });
+    return entriesPromise;
+  };
+
+  const findEntry = async (url) => {
+    const entries = await loadEntries();
+    const name = scriptFileName(url);
+    const entry = entries.find(e => e.url === url) ||
+      entries.find(e => scriptFileName(e.url) === name);
+
+    if (!entry) {
+      throw new Error(`HAR file has no response for ${url}`);
+    }
+    return entry.text;
+  };
+
+  return {
+    type: 'har',
+    describe: () => resolve(harPath),
+    getServiceWorker: () => findEntry('/sw.js'),
+    getScript: (url) => findEntry(url),
+  };
+}
+
+/**
+ * Resolves a source specification into a source.
+ * Accepts an existing source, a path to a `.har` file or a directory,
+ * or an object with `serviceWorker` and `scripts` file paths.
+ * @param {Object|string} spec - Source specification
+ * @returns {Promise<Object>} Source
+ */
+async function createSource(spec) {
+  if (spec?.getServiceWorker && spec?.getScript) {
+    return spec;
+  }
+
+  if (spec?.serviceWorker) {
+    return createFilesSource(spec);
+  }
+
+  if (typeof spec === 'string') {
+    if (spec.endsWith('.har')) {
+      return createHarSource(spec);
+    }
+    if ((await stat(spec)).isDirectory()) {
+      return createDirectorySource(spec);
+    }
+  }
+
+  throw new Error(`Unsupported source: ${JSON.stringify(spec)}`);
+}
+
+export {
+  createSource,
+  createHttpSource,
+  createFilesSource,
+  createDirectorySource,
+  createHarSource
+};
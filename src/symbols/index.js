@@ -0,0 +1,159 @@
+/**
+ * Symbol table of the extracted entities.
+ *
+ * Maps the local aliases and exports of every module to the `$`-nested model name of
+ * the entity they hold, follows re-exports across modules, and turns model names into
+ * the shortest proto type name resolving to them from a given message scope.
+ */
+
+/**
+ * Returns the module a `require` expression of the bundle refers to. Handles the
+ * forms the bundler emits: `m`, `(m||(m=b("X")))`, `m=b("X")` and `b("X")`
+ * @param {Object} node - AST node
+ * @param {Object[]} crossRefs - `alias` -> `module` references of the module, see `buildModuleCrossReferences`
+ * @returns {string|null} Module name
+ */
+function resolveRequiredModule(node, crossRefs) {
+  switch (node?.type) {
+    case 'Identifier':
+      return crossRefs.find(ref => ref.alias === node.name)?.module ?? null;
+    case 'LogicalExpression':
+      return resolveRequiredModule(node.left, crossRefs) ?? resolveRequiredModule(node.right, crossRefs);
+    case 'AssignmentExpression':
+      return resolveRequiredModule(node.right, crossRefs);
+    case 'CallExpression':
+      return node.arguments.length === 1 && typeof node.arguments[0].value === 'string'
+        ? node.arguments[0].value
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Creates the symbol table of the processed modules
+ * @param {Object} modulesInfo - Module information object with `identifiers`, `reExports` and `crossRefs`
+ * @param {Object} options - Table options
+ * @param {Function} options.rename - Maps an exported JS name to its model name
+ * @param {string} options.packageName - Proto package, used for fully qualified names
+ * @returns {Object} Symbol table
+ */
+function createSymbolTable(modulesInfo, { rename = (name) => name, packageName = 'proto' } = {}) {
+  // The first module defining a name wins, duplicates are reported by the validator
+  const entities = new Map();
+  const locals = new Map();
+
+  for (const [module, modInfo] of Object.entries(modulesInfo)) {
+    const aliases = new Map();
+
+    for (const ident of Object.values(modInfo.identifiers || {})) {
+      if (!entities.has(ident.name)) {
+        entities.set(ident.name, { ident, module });
+      }
+      if (ident.alias && !aliases.has(ident.alias)) {
+        aliases.set(ident.alias, ident.name);
+      }
+    }
+    locals.set(module, aliases);
+  }
+
+  /**
+   * Resolves an export of a module, following re-exports
+   * @param {string} module - Module name
+   * @param {string} name - Model name of the export
+   * @param {Set<string>} seen - Visited exports, guards against re-export cycles
+   * @returns {string|null} Model name of the entity
+   */
+  const resolveExport = (module, name, seen = new Set()) => {
+    const key = `${module}:${name}`;
+    const modInfo = modulesInfo[module];
+    if (!modInfo || seen.has(key)) return null;
+    seen.add(key);
+
+    if (modInfo.identifiers?.[name]) {
+      return modInfo.identifiers[name].name;
+    }
+
+    const reExport = modInfo.reExports?.[name];
+    return reExport ? resolveExport(reExport.module, reExport.name, seen) : null;
+  };
+
+  /**
+   * Resolves the entity a type reference of a spec points to
+   * @param {string} module - Module the reference appears in
+   * @param {Object} node - Reference AST node, a local alias or an export of a required module
+   * @returns {string|null} Model name of the entity
+   */
+  const resolveReference = (module, node) => {
+    if (node?.type === 'Identifier') {
+      return locals.get(module)?.get(node.name) ?? null;
+    }
+    if (node?.type !== 'MemberExpression' || node.computed) {
+      return null;
+    }
+
+    const target = resolveRequiredModule(node.object, modulesInfo[module]?.crossRefs || []);
+    const name = rename(node.property.name);
+
+    // Modules that were not crawled can only be matched by name
+    if (target && !modulesInfo[target]) {
+      return entities.has(name) ? name : null;
+    }
+    return target ? resolveExport(target, name) : null;
+  };
+
+  /**
+   * Resolves a proto type name the way protoc does: the first component is looked up
+   * from the innermost scope outwards, the rest within the scope it was found in
+   * @param {string[]} parts - Type name components
+   * @param {string} scope - Model name of the enclosing message, empty at package level
+   * @returns {string|null} Model name of the entity
+   */
+  const resolveScoped = (parts, scope) => {
+    const scopes = scope ? scope.split('$') : [];
+
+    for (let depth = scopes.length; depth >= 0; depth--) {
+      const prefix = scopes.slice(0, depth);
+      if (entities.has([...prefix, parts[0]].join('$'))) {
+        const name = [...prefix, ...parts].join('$');
+        return entities.has(name) ? name : null;
+      }
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Looks up an entity by model name
+     * @param {string} name - Model name
+     * @returns {Object|undefined} `ident` and the `module` defining it
+     */
+    lookup: (name) => entities.get(name),
+
+    resolveExport,
+    resolveReference,
+
+    /**
+     * Returns the shortest proto type name resolving to an entity from a scope,
+     * fully qualified when every shorter name is shadowed
+     * @param {string} name - Model name of the referenced entity
+     * @param {string} scope - Model name of the referencing message
+     * @returns {string} Proto type name
+     */
+    relativeName(name, scope = '') {
+      const parts = name.split('$');
+
+      for (let start = parts.length - 1; start >= 0; start--) {
+        if (resolveScoped(parts.slice(start), scope) === name) {
+          return parts.slice(start).join('.');
+        }
+      }
+      return `.${[packageName, ...parts].join('.')}`;
+    }
+  };
+}
+
+export {
+  resolveRequiredModule,
+  createSymbolTable
+};
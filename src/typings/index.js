@@ -0,0 +1,213 @@
+/**
+ * TypeScript declarations generated from the schema IR.
+ *
+ * The `pbts` typings of the static module declare every field optional and nullable and
+ * enums as numbers. These declarations describe the plain objects of `toJSON()` instead:
+ *
+ *   export namespace proto {
+ *     type Message = Message.Fields & Message.ContentCase;
+ *     namespace Message {
+ *       interface Fields { ... }                // fields outside of any oneof
+ *       type ContentCase = { ... } | { ... };   // one member per field of the oneof `content`
+ *       type Has<K> = With<Message, K>;         // Message with fields known to be set
+ *       type MediaKind = 'UNKNOWN' | 'IMAGE';   // enums as unions of their value names
+ *       ...nested entities
+ *     }
+ *   }
+ *
+ * 64-bit integers and bytes are strings (decimal and base64), like `toJSON()` converts them.
+ * Required fields of proto2 schemas are not optional, decoding fails without them.
+ */
+
+const INDENT = '  ';
+
+// JSON types of the scalars, see `util.toJSONOptions` of protobufjs
+const SCALAR_JSON_TYPES = {
+  double: 'number',
+  float: 'number',
+  int32: 'number',
+  uint32: 'number',
+  sint32: 'number',
+  fixed32: 'number',
+  sfixed32: 'number',
+  int64: 'string',
+  uint64: 'string',
+  sint64: 'string',
+  fixed64: 'string',
+  sfixed64: 'string',
+  bool: 'boolean',
+  string: 'string',
+  bytes: 'string'
+};
+
+/**
+ * Quotes a property name when it is not a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} Property key
+ */
+const toPropertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+/**
+ * Returns the last component of a proto name, e.g. `Message.ImageMessage` -> `ImageMessage`
+ * @param {string} name - Proto name
+ * @returns {string} Local name
+ */
+const localName = (name) => name.slice(name.lastIndexOf('.') + 1);
+
+/**
+ * Returns a name not taken by a nested entity, suffixed with `_` as long as it is
+ * @param {string} name - Preferred name
+ * @param {Set<string>} taken - Names of the nested entities
+ * @returns {string} Free name
+ */
+const freeName = (name, taken) => (taken.has(name) ? freeName(`${name}_`, taken) : name);
+
+/**
+ * Returns the TypeScript type of a single value of an IR field
+ * @param {Object} field - IR field
+ * @returns {string} TypeScript type
+ */
+function valueType(field) {
+  if (field.typeKind === 'scalar') {
+    return SCALAR_JSON_TYPES[field.type];
+  }
+  if (field.typeKind === 'map') {
+    return valueType({ type: field.type, typeKind: field.valueTypeKind });
+  }
+  return field.typeKind === 'unresolved' ? 'unknown' : `proto.${field.type}`;
+}
+
+/**
+ * Returns the TypeScript type of an IR field
+ * @param {Object} field - IR field
+ * @returns {string} TypeScript type
+ */
+function fieldType(field) {
+  if (field.typeKind === 'map') {
+    return `{ [key: string]: ${valueType(field)} }`;
+  }
+  return field.label === 'repeated' ? `${valueType(field)}[]` : valueType(field);
+}
+
+/**
+ * Renders the declarations of a message: its object type and a namespace holding
+ * the fields, oneof unions, has-field helper and nested entities
+ * @param {Object} entity - IR message
+ * @param {string[]} nested - Rendered nested entities
+ * @param {Set<string>} nestedNames - Local names of the nested entities
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.requiredFields - Whether required fields are declared as such
+ * @returns {string[]} Lines
+ */
+function renderMessage(entity, nested, nestedNames, { requiredFields }) {
+  const name = localName(entity.name);
+  const fullName = `proto.${entity.name}`;
+  const fieldsName = freeName('Fields', nestedNames);
+  const hasName = freeName('Has', nestedNames);
+  const property = (field, optional = field.optional) =>
+    `${toPropertyKey(field.name)}${optional ? '?' : ''}: ${fieldType(field)};`;
+
+  const fields = entity.fields.map(field => ({
+    ...field,
+    optional: !(requiredFields && field.label === 'required')
+  }));
+
+  const cases = entity.oneofs.map((oneof) => {
+    const members = fields.filter(field => field.oneof === oneof.name);
+    const unset = (except) => members
+      .filter(member => member !== except)
+      .map(member => `${toPropertyKey(member.name)}?: undefined;`);
+    const discriminant = toPropertyKey(oneof.name);
+
+    return {
+      name: freeName(`${oneof.name[0].toUpperCase()}${oneof.name.slice(1)}Case`, nestedNames),
+      oneof,
+      variants: [
+        [`${discriminant}?: undefined;`, ...unset(null)],
+        ...members.map(member => [`${discriminant}?: ${JSON.stringify(member.name)};`, property(member, false), ...unset(member)])
+      ]
+    };
+  });
+
+  return [
+    `/** Plain object of \`proto.${entity.name}\`, see \`proto.${entity.name}.toJSON\` */`,
+    `type ${name} = ${[fieldsName, ...cases.map(c => c.name)].map(type => `${fullName}.${type}`).join(' & ')};`,
+    '',
+    `namespace ${name} {`,
+    `${INDENT}/** Fields of \`proto.${entity.name}\` outside of any oneof */`,
+    `${INDENT}interface ${fieldsName} {`,
+    ...fields.filter(field => !field.oneof).map(field => `${INDENT}${INDENT}${property(field)}`),
+    `${INDENT}}`,
+    ...cases.flatMap(({ name: caseName, oneof, variants }) => [
+      '',
+      `${INDENT}/** Oneof \`${oneof.name}\`, named by \`${oneof.name}\` when converted with \`{ oneofs: true }\` */`,
+      `${INDENT}type ${caseName} =`,
+      ...variants.map(variant => `${INDENT}${INDENT}| { ${variant.join(' ')} }`),
+      `${INDENT}${INDENT};`
+    ]),
+    '',
+    `${INDENT}/** \`proto.${entity.name}\` with the given fields set */`,
+    `${INDENT}type ${hasName}<K extends keyof ${fullName}> = With<${fullName}, K>;`,
+    ...nested.flatMap(lines => ['', ...lines.split('\n').map(line => (line ? `${INDENT}${line}` : line))]),
+    '}'
+  ];
+}
+
+/**
+ * Renders an enum as the union of its value names
+ * @param {Object} entity - IR enum
+ * @returns {string[]} Lines
+ */
+function renderEnum(entity) {
+  const names = [...new Set(entity.values.map(value => JSON.stringify(value.name)))];
+  return [
+    `/** Values of \`proto.${entity.name}\` */`,
+    `type ${localName(entity.name)} = ${names.join(' | ') || 'never'};`
+  ];
+}
+
+/**
+ * Generates the TypeScript declarations of a schema
+ * @param {Object} ir - Schema IR, see `src/ir/index.js`
+ * @returns {string} Declaration file content
+ */
+function generateTypings(ir) {
+  const children = new Map();
+  for (const entity of ir.entities) {
+    if (!children.has(entity.parent)) {
+      children.set(entity.parent, []);
+    }
+    children.get(entity.parent).push(entity);
+  }
+
+  const options = { requiredFields: ir.syntax === 'proto2' };
+
+  const render = (entity) => {
+    if (entity.kind === 'enum') {
+      return renderEnum(entity).join('\n');
+    }
+    const nested = children.get(entity.name) || [];
+    return renderMessage(
+      entity,
+      nested.map(render),
+      new Set(nested.map(child => localName(child.name))),
+      options
+    ).join('\n');
+  };
+
+  const declarations = (children.get(null) || []).map(render);
+
+  return [
+    `// Types of the WhatsApp ${ir.whatsappVersion} schema, generated from the schema IR`,
+    '',
+    '/** A message with the given fields known to be set */',
+    'export type With<T, K extends keyof T> = T & { [P in K]-?: NonNullable<T[P]> };',
+    '',
+    'export namespace proto {',
+    declarations.join('\n\n').split('\n').map(line => (line ? `${INDENT}${line}` : line)).join('\n'),
+    '}',
+    ''
+  ].join('\n');
+}
+
+export { generateTypings };
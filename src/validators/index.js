@@ -0,0 +1,235 @@
+import protobuf from 'protobufjs';
+import { DIAGNOSTIC_CODES } from '../diagnostics/index.js';
+import { SCALAR_TYPES } from '../ir/index.js';
+
+// Field numbers allowed by protobuf, 19000-19999 are reserved for the implementation
+const MAX_FIELD_NUMBER = 536870911;
+const RESERVED_FIELD_NUMBERS = [19000, 19999];
+
+// Types allowed as map keys
+const MAP_KEY_TYPES = SCALAR_TYPES.filter(type => !['double', 'float', 'bytes'].includes(type));
+
+/**
+ * Converts an entity name to an UPPER_SNAKE enum value prefix, e.g. `ADVEncryptionType` -> `ADV_ENCRYPTION_TYPE`
+ * @param {string} name - Entity name
+ * @returns {string} Prefix
+ */
+const toEnumPrefix = (name) => name
+  .split('$').pop()
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+  .toUpperCase();
+
+/**
+ * Flattens message members, oneof members included
+ * @param {Object[]} members - Message members
+ * @returns {Object[]} Fields
+ */
+const flattenFields = (members) =>
+  members.flatMap(member => member.type === '__oneof__' ? member.members : [member]);
+
+/**
+ * Collects all entities of the extracted model with the module they come from
+ * @param {Object} modulesInfo - Module information object
+ * @returns {Object[]} Entries with `ident` and `module`
+ */
+function collectEntities(modulesInfo) {
+  return Object.entries(modulesInfo).flatMap(([module, modInfo]) =>
+    Object.values(modInfo.identifiers || {}).map(ident => ({ ident, module }))
+  );
+}
+
+/**
+ * Checks field numbers, names and type references of a message
+ * @param {Object} ident - Message identifier
+ * @param {string} module - Source module
+ * @param {Set<string>} knownTypes - Names of all extracted entities
+ * @param {Object} diagnostics - Diagnostic collector
+ */
+function validateMessage(ident, module, knownTypes, diagnostics) {
+  const fields = flattenFields(ident.members);
+  const numbers = new Map();
+  const names = new Map();
+
+  for (const field of fields) {
+    const context = { entity: ident.name, field: field.name, module };
+
+    if (numbers.has(field.id)) {
+      diagnostics.report(
+        DIAGNOSTIC_CODES.DUPLICATE_FIELD_NUMBER,
+        `Field number ${field.id} is used by '${numbers.get(field.id)}' and '${field.name}'`,
+        context
+      );
+    }
+    numbers.set(field.id, field.name);
+
+    if (!Number.isInteger(field.id) || field.id < 1 || field.id > MAX_FIELD_NUMBER) {
+      diagnostics.report(DIAGNOSTIC_CODES.FIELD_NUMBER_OUT_OF_RANGE, `Field number ${field.id} is out of range`, context);
+    } else if (field.id >= RESERVED_FIELD_NUMBERS[0] && field.id <= RESERVED_FIELD_NUMBERS[1]) {
+      diagnostics.report(DIAGNOSTIC_CODES.RESERVED_FIELD_NUMBER, `Field number ${field.id} is reserved`, context);
+    }
+
+    names.set(field.name, (names.get(field.name) || 0) + 1);
+
+    if (field.type?.startsWith('map<')) {
+      const [keyType, valueType] = field.type.slice(4, -1).split(',').map(t => t.trim());
+      if (!MAP_KEY_TYPES.includes(keyType)) {
+        diagnostics.report(DIAGNOSTIC_CODES.INVALID_MAP_KEY, `Map key type '${keyType}' is not allowed`, context);
+      }
+      if (!SCALAR_TYPES.includes(valueType) && !knownTypes.has(valueType) && valueType !== 'unknown') {
+        diagnostics.report(DIAGNOSTIC_CODES.UNKNOWN_TYPE_REFERENCE, `Map value type '${valueType}' does not exist`, context);
+      }
+    } else if (
+      // Unresolved `message`/`enum` members and missing types were reported during extraction
+      field.type && !['message', 'enum'].includes(field.type) &&
+      !SCALAR_TYPES.includes(field.type) && !knownTypes.has(field.type)
+    ) {
+      diagnostics.report(DIAGNOSTIC_CODES.UNKNOWN_TYPE_REFERENCE, `Type '${field.type}' does not exist`, context);
+    }
+  }
+
+  // Fields, oneofs and nested entities share the message scope
+  for (const oneof of ident.members.filter(member => member.type === '__oneof__')) {
+    names.set(oneof.name, (names.get(oneof.name) || 0) + 1);
+  }
+  for (const name of knownTypes) {
+    if (name.startsWith(`${ident.name}$`) && !name.slice(ident.name.length + 1).includes('$')) {
+      const nestedName = name.slice(ident.name.length + 1);
+      names.set(nestedName, (names.get(nestedName) || 0) + 1);
+    }
+  }
+
+  for (const [name, count] of names) {
+    if (count > 1) {
+      diagnostics.report(
+        DIAGNOSTIC_CODES.DUPLICATE_NAME,
+        `Name '${name}' is defined ${count} times in ${ident.name}`,
+        { entity: ident.name, field: name, module }
+      );
+    }
+  }
+}
+
+/**
+ * Checks an enum and fixes what can be fixed safely: a missing or misplaced zero
+ * value in proto3 and duplicate numbers, which are allowed through `allow_alias`
+ * @param {Object} ident - Enum identifier
+ * @param {string} module - Source module
+ * @param {string} syntax - Output syntax
+ * @param {Object} diagnostics - Diagnostic collector
+ */
+function validateEnum(ident, module, syntax, diagnostics) {
+  const context = { entity: ident.name, module };
+  const values = ident.enumValues;
+
+  const seenNames = new Set();
+  for (const value of values) {
+    if (seenNames.has(value.name)) {
+      diagnostics.report(DIAGNOSTIC_CODES.DUPLICATE_NAME, `Enum value '${value.name}' is defined twice`, {
+        ...context,
+        field: value.name
+      });
+    }
+    seenNames.add(value.name);
+  }
+
+  const ids = values.map(value => value.id);
+  if (new Set(ids).size !== ids.length && !ident.allowAlias) {
+    ident.allowAlias = true;
+    diagnostics.report(DIAGNOSTIC_CODES.ENUM_ALIAS_ALLOWED, 'Enum reuses value numbers, enabled allow_alias', context);
+  }
+
+  if (syntax !== 'proto3' || values[0]?.id === 0) {
+    return;
+  }
+
+  const zeroIndex = values.findIndex(value => value.id === 0);
+  if (zeroIndex > 0) {
+    values.unshift(...values.splice(zeroIndex, 1));
+    diagnostics.report(DIAGNOSTIC_CODES.ENUM_ZERO_VALUE_MOVED, `Moved '${values[0].name}' first, proto3 enums must start with 0`, context);
+    return;
+  }
+
+  let name = `${toEnumPrefix(ident.name)}_UNSPECIFIED`;
+  while (seenNames.has(name)) name = `${name}_`;
+  values.unshift({ name, id: 0 });
+  diagnostics.report(DIAGNOSTIC_CODES.ENUM_ZERO_VALUE_INSERTED, `Inserted '${name} = 0', proto3 enums must start with 0`, context);
+}
+
+/**
+ * Validates the extracted model before any proto text is generated, fixing what is safe to fix
+ * @param {Object} modulesInfo - Module information object, after specs were processed
+ * @param {Object} options - Validation options
+ * @param {string} options.syntax - Output syntax
+ * @param {Object} diagnostics - Diagnostic collector
+ */
+function validateSchemaModel(modulesInfo, { syntax }, diagnostics) {
+  const entities = collectEntities(modulesInfo);
+  const knownTypes = new Set();
+  const definedIn = new Map();
+
+  for (const { ident, module } of entities) {
+    if (definedIn.has(ident.name) && definedIn.get(ident.name) !== module) {
+      diagnostics.report(
+        DIAGNOSTIC_CODES.DUPLICATE_NAME,
+        `Entity ${ident.name} is defined in ${definedIn.get(ident.name)} and ${module}`,
+        { entity: ident.name, module }
+      );
+    }
+    definedIn.set(ident.name, module);
+
+    if (ident.members || ident.enumValues?.length) {
+      knownTypes.add(ident.name);
+    }
+  }
+
+  // Enum values are scoped to the scope enclosing the enum, like in C++
+  const enumValueScopes = new Map();
+
+  for (const { ident, module } of entities) {
+    if (ident.members) {
+      validateMessage(ident, module, knownTypes, diagnostics);
+    } else if (ident.enumValues?.length) {
+      validateEnum(ident, module, syntax, diagnostics);
+
+      const scope = ident.name.split('$').slice(0, -1).join('$');
+      const scopeValues = enumValueScopes.get(scope) || new Map();
+      for (const value of ident.enumValues) {
+        const owner = scopeValues.get(value.name);
+        if (owner && owner !== ident.name) {
+          diagnostics.report(
+            DIAGNOSTIC_CODES.ENUM_VALUE_NAME_CONFLICT,
+            `Enum value '${value.name}' is also defined by ${owner} in the same scope`,
+            { entity: ident.name, field: value.name, module }
+          );
+        }
+        scopeValues.set(value.name, ident.name);
+      }
+      enumValueScopes.set(scope, scopeValues);
+    }
+  }
+}
+
+/**
+ * Loads generated proto text with protobufjs to confirm it parses and all types resolve
+ * @param {string} content - Complete .proto file content
+ * @param {Object} diagnostics - Diagnostic collector
+ * @returns {boolean} Whether the proto loaded
+ */
+function validateProtoText(content, diagnostics) {
+  try {
+    const { root } = protobuf.parse(content, { keepCase: true });
+    root.resolveAll();
+    return true;
+  } catch (error) {
+    diagnostics.report(DIAGNOSTIC_CODES.PROTO_LOAD_FAILED, `protobufjs could not load the schema: ${error.message}`);
+    return false;
+  }
+}
+
+export {
+  MAX_FIELD_NUMBER,
+  RESERVED_FIELD_NUMBERS,
+  validateSchemaModel,
+  validateProtoText
+};
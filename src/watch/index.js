@@ -0,0 +1,284 @@
+import requestPromise from 'request-promise-native';
+import { EventEmitter } from 'events';
+import { exec } from 'child_process';
+import { writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import {
+  CONFIG,
+  createDefaultSource,
+  createExtractionContext,
+  extractClientRevision,
+  getIRPath,
+  parseExtractorArgs
+} from '../extractors/index.js';
+import { readBuildState } from '../cache/index.js';
+import { loadSchema, diffSchemas, formatDiffText } from '../diff/index.js';
+import { createSource } from '../sources/index.js';
+import { resolveLogger } from '../logger/index.js';
+import { build } from '../scripts/build.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const DEFAULT_INTERVAL = 10 * 60 * 1000;
+const DEFAULT_DIFF_DIR = resolve(projectRoot, 'diffs');
+const HOOK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Loads the schema currently on disk so it can be compared with the next build.
+ * The IR is preferred since it is exact, the .proto is used when there is none.
+ * @param {string} outputPath - Output .proto path
+ * @returns {Promise<Object|null>} Normalized schema, null when nothing was built yet
+ */
+async function loadCurrentSchema(outputPath) {
+  const irPath = getIRPath(outputPath);
+  if (existsSync(irPath)) return loadSchema(irPath);
+  if (existsSync(outputPath)) return loadSchema(outputPath);
+  return null;
+}
+
+/**
+ * Runs the shell hook of a release, passing it the release through environment variables
+ * @param {string} command - Shell command
+ * @param {Object} release - Release event
+ * @returns {Promise<string>} Hook output
+ */
+function runHook(command, release) {
+  const env = {
+    ...process.env,
+    WA_VERSION: release.version,
+    WA_CLIENT_REVISION: String(release.revision),
+    WA_PREVIOUS_REVISION: release.previousRevision === null ? '' : String(release.previousRevision),
+    WA_SCHEMA_PATH: release.path,
+    WA_DIFF_PATH: release.diffPath || '',
+    WA_BREAKING_CHANGES: String(release.diff?.summary.breaking ?? 0)
+  };
+
+  return new Promise((resolvePromise, reject) => {
+    exec(command, { env, timeout: HOOK_TIMEOUT }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`Hook failed: ${stderr.trim() || error.message}`));
+      } else {
+        resolvePromise(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Posts a release to a webhook as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object} release - Release event
+ * @param {Object} settings - Extraction settings providing the request timeout
+ * @returns {Promise<void>}
+ */
+async function postWebhook(url, release, settings) {
+  await requestPromise.post(url, {
+    timeout: settings.requestTimeout,
+    json: {
+      event: 'release',
+      version: release.version,
+      revision: release.revision,
+      previousRevision: release.previousRevision,
+      path: release.path,
+      diffPath: release.diffPath,
+      summary: release.diff?.summary ?? null,
+      entities: release.result.entities.length
+    }
+  });
+}
+
+/**
+ * Creates a watcher polling the WhatsApp Web service worker for new client revisions.
+ * On a new revision the full extract+compile pipeline runs, the schema diff is written,
+ * and the release is announced through events, the shell hook and the webhook.
+ *
+ * Events:
+ *  - `check`: `{ revision, previousRevision, changed, busy }` after every poll. A `check()`
+ *    overlapping a running one does not poll: it emits `busy: true` and returns null
+ *  - `release`: `{ version, revision, previousRevision, path, result, diff, diffPath }`
+ *  - `error`: a poll, build, hook or webhook failed; logged when nobody listens
+ *
+ * @param {Object} options - Build options (see `build` and `extractProtobuf`) plus:
+ * @param {number} options.interval - Polling interval in milliseconds, 10 minutes by default
+ * @param {string} options.hook - Shell command run on every release
+ * @param {string} options.webhook - URL the release is POSTed to as JSON
+ * @param {string|null} options.diffDir - Directory the schema diffs are written to, null to skip them
+ * @returns {EventEmitter} Watcher with `start()`, `stop()` and `check()`
+ */
+function createWatcher(options = {}) {
+  const watcher = new EventEmitter();
+  const context = createExtractionContext(options);
+  const logger = resolveLogger(options.silent ? false : options.logger);
+  const interval = options.interval ?? DEFAULT_INTERVAL;
+  const outputPath = resolve(options.outputPath || CONFIG.defaultOutputPath);
+  const diffDir = options.diffDir === null ? null : resolve(options.diffDir || DEFAULT_DIFF_DIR);
+
+  let sourcePromise;
+  let previousRevision;
+  let timer = null;
+  let running = false;
+
+  const getSource = () => {
+    sourcePromise = sourcePromise || (options.source ? createSource(options.source) : Promise.resolve(createDefaultSource(context)));
+    return sourcePromise;
+  };
+
+  const fail = (error) => {
+    if (watcher.listenerCount('error') > 0) {
+      watcher.emit('error', error);
+    } else {
+      logger.error(`❌ Watch: ${error.message}`);
+    }
+  };
+
+  /**
+   * Writes the diff between the previous and the new schema
+   * @param {Object|null} before - Previous schema
+   * @param {Object} result - Build result
+   * @returns {Promise<Object>} `diff` and `diffPath`
+   */
+  const writeDiff = async (before, result) => {
+    if (!before) return { diff: null, diffPath: null };
+
+    const diff = diffSchemas(before, await loadCurrentSchema(result.path));
+    if (!diffDir) return { diff, diffPath: null };
+
+    await mkdir(diffDir, { recursive: true });
+    const diffPath = resolve(diffDir, `${before.version ?? previousRevision}..${result.version}.json`);
+    await writeFile(diffPath, JSON.stringify(diff, null, 2), 'utf8');
+    await writeFile(diffPath.replace(/\.json$/, '.txt'), formatDiffText(diff), 'utf8');
+
+    logger.info(`🧮 Diff: ${diff.summary.total} changes, ${diff.summary.breaking} breaking (${diffPath})`);
+    return { diff, diffPath };
+  };
+
+  /**
+   * Polls the service worker once and rebuilds when the client revision changed
+   * @returns {Promise<Object|null>} Release event, null when nothing changed or a check is already running
+   */
+  watcher.check = async () => {
+    if (running) {
+      watcher.emit('check', { revision: null, previousRevision: previousRevision ?? null, changed: false, busy: true });
+      return null;
+    }
+    running = true;
+
+    try {
+      if (previousRevision === undefined) {
+        previousRevision = (await readBuildState(`extract:${outputPath}`, context.settings.cacheDir))?.clientRevision ?? null;
+      }
+
+      const source = await getSource();
+      const revision = extractClientRevision(await source.getServiceWorker());
+      const changed = revision !== previousRevision;
+
+      watcher.emit('check', { revision, previousRevision, changed, busy: false });
+      if (!changed) {
+        logger.info(`👀 Client revision ${revision} unchanged`);
+        return null;
+      }
+
+      logger.info(`🆕 Client revision ${previousRevision ?? 'none'} -> ${revision}, rebuilding...`);
+      const before = await loadCurrentSchema(outputPath);
+      const result = await build({ ...options, outputPath, source });
+
+      const release = {
+        version: result.version,
+        revision: result.clientRevision,
+        previousRevision,
+        path: result.path,
+        result,
+        ...await writeDiff(before, result)
+      };
+      previousRevision = release.revision;
+
+      watcher.emit('release', release);
+
+      if (options.hook) {
+        const output = await runHook(options.hook, release).catch(error => fail(error));
+        if (output) logger.info(output);
+      }
+      if (options.webhook) {
+        await postWebhook(options.webhook, release, context.settings).catch(error => fail(error));
+      }
+
+      return release;
+    } catch (error) {
+      fail(error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Starts polling, the first check runs immediately
+   * @returns {EventEmitter} Watcher
+   */
+  watcher.start = () => {
+    if (timer !== null) return watcher;
+
+    const loop = async () => {
+      await watcher.check();
+      if (timer !== null) {
+        timer = setTimeout(loop, interval);
+      }
+    };
+
+    logger.info(`👀 Watching ${context.settings.baseURL} every ${Math.round(interval / 1000)}s`);
+    timer = setTimeout(loop, 0);
+    return watcher;
+  };
+
+  /**
+   * Stops polling, a running check completes
+   */
+  watcher.stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return watcher;
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { outputPath, options, values } = parseExtractorArgs(process.argv.slice(2), {
+    interval: { type: 'string' },
+    hook: { type: 'string' },
+    webhook: { type: 'string' },
+    'diff-dir': { type: 'string' },
+    'no-compile': { type: 'boolean' },
+    once: { type: 'boolean' }
+  });
+
+  const watcher = createWatcher({
+    ...options,
+    outputPath,
+    interval: values.interval ? Number(values.interval) * 1000 : undefined,
+    hook: values.hook,
+    webhook: values.webhook,
+    diffDir: values['diff-dir'],
+    compile: !values['no-compile']
+  });
+
+  if (values.once) {
+    watcher.on('error', (error) => {
+      console.error('💥 Watch failed:', error.message);
+      process.exitCode = 1;
+    });
+    watcher.check();
+  } else {
+    watcher.start();
+    process.once('SIGINT', () => watcher.stop());
+    process.once('SIGTERM', () => watcher.stop());
+  }
+}
+
+export {
+  DEFAULT_INTERVAL,
+  DEFAULT_DIFF_DIR,
+  createWatcher
+};
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDownloadCache, hashContent } from '../src/cache/index.js';
+import { extractProtobuf } from '../src/extractors/index.js';
+
+const BUNDLE = readFileSync(new URL('./fixtures/bootstrap.js', import.meta.url), 'utf8');
+
+/**
+ * Creates a temporary directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {string} Directory
+ */
+function createWorkDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'whatsapp-proto-cache-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('prune drops expired, least recently used and orphaned downloads', async (t) => {
+  const cacheDir = createWorkDir(t);
+  const objectsDir = join(cacheDir, 'downloads', 'objects');
+
+  await createDownloadCache(cacheDir, { maxAge: null, maxSize: null }).put('https://a/old.js', 'old');
+
+  // A new cache instance reads the index as written, then sees time pass,
+  // one millisecond per download so their order is known
+  const realNow = Date.now;
+  let now = realNow() + 2000;
+  t.after(() => { Date.now = realNow; });
+  Date.now = () => now;
+
+  const cache = createDownloadCache(cacheDir, { maxAge: 1000, maxSize: 10 });
+  await cache.put('https://a/replaced.js', 'first');
+  now += 1;
+  await cache.put('https://a/replaced.js', 'second');
+  now += 1;
+  await cache.put('https://a/big.js', 'x'.repeat(8));
+
+  assert.equal(await cache.prune(), 3);
+  assert.deepEqual(readdirSync(objectsDir).sort(), [hashContent('x'.repeat(8))]);
+  assert.equal(await cache.get('https://a/old.js'), null);
+  assert.equal(await cache.get('https://a/replaced.js'), null);
+  assert.equal(await cache.get('https://a/big.js'), 'x'.repeat(8));
+});
+
+test('an unchanged bundle is skipped before its chunks are crawled', async (t) => {
+  const workDir = createWorkDir(t);
+  const requests = [];
+  let baseURL;
+
+  const server = createServer((request, response) => {
+    requests.push(request.url);
+    const files = {
+      '/sw.js': `self.__swData=JSON.parse("{\\"dynamic_data\\":{\\"SiteData\\":{\\"client_revision\\":1000,\\"server_revision\\":1}}}");\n` +
+        `importScripts("${baseURL}/bootstrap.js");\n`,
+      '/bootstrap.js': `${BUNDLE}\nvar chunk="${baseURL}/chunk.js";\n`,
+      '/chunk.js': '__d("Unrelated",[],(function(a,b,c,d,e,f,g){g.bar=2}),1);\n'
+    };
+    response.statusCode = files[request.url] ? 200 : 404;
+    response.end(files[request.url] ?? '');
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+
+  const build = () => extractProtobuf(join(workDir, 'whatsapp.proto'), {
+    baseURL,
+    cacheDir: join(workDir, 'cache'),
+    versionFile: null,
+    archive: false,
+    silent: true,
+    retryAttempts: 1
+  });
+
+  const first = await build();
+  assert.equal(first.skipped, false);
+  assert.deepEqual(requests, ['/sw.js', '/bootstrap.js', '/chunk.js']);
+
+  requests.length = 0;
+  const second = await build();
+  assert.equal(second.skipped, true);
+  assert.equal(second.bundleHash, first.bundleHash);
+  assert.deepEqual(requests, ['/sw.js']);
+  assert.ok(existsSync(join(workDir, 'cache', 'downloads', 'index.json')));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import protobuf from 'protobufjs';
+
+const require = createRequire(import.meta.url);
+const { createRegistry } = require('../src/compilers/runtime/lib/registry.cjs');
+const { createContentHelpers } = require('../src/compilers/runtime/lib/content.cjs');
+
+const SCHEMA = `
+syntax = "proto2";
+package proto;
+
+message MessageKey {
+  optional string id = 1;
+}
+
+message Message {
+  optional string conversation = 1;
+  optional ImageMessage imageMessage = 3;
+  optional DeviceSentMessage deviceSentMessage = 31;
+  optional ProtocolMessage protocolMessage = 12;
+  optional RequestPaymentMessage requestPaymentMessage = 22;
+  optional SendPaymentMessage sendPaymentMessage = 16;
+  optional FutureProofMessage ephemeralMessage = 40;
+  optional CommentMessage commentMessage = 77;
+
+  message ImageMessage {
+    optional string caption = 3;
+  }
+  message DeviceSentMessage {
+    optional string destinationJid = 1;
+    optional Message message = 2;
+    optional string phash = 3;
+  }
+  message FutureProofMessage {
+    optional Message message = 1;
+  }
+  message ProtocolMessage {
+    optional MessageKey key = 1;
+    optional Message editedMessage = 14;
+  }
+  message RequestPaymentMessage {
+    optional Message noteMessage = 4;
+    optional string currencyCodeIso4217 = 1;
+  }
+  message SendPaymentMessage {
+    optional Message noteMessage = 2;
+    optional MessageKey requestMessageKey = 3;
+  }
+  message CommentMessage {
+    optional Message message = 1;
+    optional MessageKey targetMessageKey = 2;
+  }
+}
+`;
+
+const content = createContentHelpers(createRegistry({}, () => protobuf.parse(SCHEMA).root.toJSON(), null));
+
+test('wrappers only hold a Message and scalars', () => {
+  assert.deepEqual(content.listWrappers().map(wrapper => wrapper.field).sort(), ['deviceSentMessage', 'ephemeralMessage']);
+});
+
+test('wrapped content is unwrapped', () => {
+  const result = content.extractContent({
+    deviceSentMessage: { message: { ephemeralMessage: { message: { imageMessage: { caption: 'hi' } } } } }
+  });
+  assert.equal(result.type, 'imageMessage');
+  assert.deepEqual(result.wrappers.map(wrapper => wrapper.field), ['deviceSentMessage', 'ephemeralMessage']);
+  assert.equal(content.getCaption(result.message), 'hi');
+});
+
+test('contents nesting a Message are reported as themselves', () => {
+  const note = { conversation: 'hi' };
+  const cases = {
+    requestPaymentMessage: { noteMessage: note, currencyCodeIso4217: 'BRL' },
+    sendPaymentMessage: { noteMessage: note },
+    protocolMessage: { key: { id: 'A' }, editedMessage: note },
+    commentMessage: { message: note, targetMessageKey: { id: 'A' } }
+  };
+
+  for (const [type, value] of Object.entries(cases)) {
+    const result = content.extractContent({ [type]: value });
+    assert.equal(result.type, type);
+    assert.deepEqual(result.wrappers, []);
+  }
+});
+
+test('default-valued scalars are no content', () => {
+  assert.equal(content.getContentType({ conversation: '', imageMessage: { caption: 'c' } }), 'imageMessage');
+});
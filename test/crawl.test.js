@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExtractionContext, crawlChunks } from '../src/extractors/index.js';
+
+const SERVICE_WORKER = 'self.__swData=JSON.parse("{\\"dynamic_data\\":{\\"SiteData\\":{\\"client_revision\\":1000,\\"server_revision\\":1}}}");\n' +
+  'importScripts("https://static.whatsapp.net/rsrc/v1/bootstrap.js");\n';
+
+/**
+ * Creates a source serving the given scripts, recording the requested URLs
+ * @param {Object} scripts - Script content by URL
+ * @returns {Object} Source
+ */
+function createMemorySource(scripts) {
+  const requested = [];
+  return {
+    requested,
+    describe: () => 'memory',
+    getServiceWorker: async () => SERVICE_WORKER,
+    getScript: async (url) => {
+      requested.push(url);
+      if (!(url in scripts)) throw new Error('Not found');
+      return scripts[url];
+    }
+  };
+}
+
+test('relative and protocol-relative chunk paths are resolved against the referring chunk', async () => {
+  const source = createMemorySource({
+    'https://static.whatsapp.net/rsrc/v1/bootstrap.js': 'var map={"a":{"src":"\\/rsrc\\/v1\\/a.js"},"b":{"src":"//static.whatsapp.net/rsrc/v2/b.js"},"c":{"src":"//cdn.example.com/c.js"}};',
+    'https://static.whatsapp.net/rsrc/v1/a.js': 'var next="./nested/c.js";',
+    'https://static.whatsapp.net/rsrc/v2/b.js': 'var up="../v1/a.js";',
+    'https://static.whatsapp.net/rsrc/v1/nested/c.js': '__d("C",[],(function(){}),1);'
+  });
+  const metadata = {};
+
+  await crawlChunks(source, metadata, createExtractionContext({ versionFile: null, silent: true }));
+
+  assert.deepEqual(metadata.chunks.map(chunk => chunk.url), [
+    'https://static.whatsapp.net/rsrc/v1/bootstrap.js',
+    'https://static.whatsapp.net/rsrc/v1/a.js',
+    'https://static.whatsapp.net/rsrc/v2/b.js',
+    'https://static.whatsapp.net/rsrc/v1/nested/c.js'
+  ]);
+  assert.ok(!source.requested.some(url => url.includes('cdn.example.com')));
+});
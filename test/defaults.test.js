@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import protobuf from 'protobufjs';
+import { extractProtobuf } from '../src/extractors/index.js';
+import { loadSchemaRoot } from '../src/compilers/index.js';
+
+const BUNDLE = readFileSync(new URL('./fixtures/bootstrap.js', import.meta.url), 'utf8');
+
+// Defaults needing escapes, as the client declares them
+const MIMETYPE = 'a"b\\c\nd\u0001é';
+const MEDIA_KEY = 'ké';
+
+/**
+ * Extracts the fixture bundle with string and bytes defaults needing escapes
+ * @param {Object} t - Test context
+ * @param {string} syntax - Output syntax
+ * @returns {Promise<string>} Path of the generated schema
+ */
+async function extractDefaults(t, syntax) {
+  const dir = mkdtempSync(join(tmpdir(), 'whatsapp-proto-defaults-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  writeFileSync(join(dir, 'sw.js'),
+    'self.__swData=JSON.parse("{\\"dynamic_data\\":{\\"SiteData\\":{\\"client_revision\\":1000,\\"server_revision\\":1}}}");\n' +
+    'importScripts("https://static.whatsapp.net/rsrc/bootstrap.js");\n');
+  writeFileSync(join(dir, 'bootstrap.js'), BUNDLE.replace(
+    'internalDefaults={mimetype:"image/jpeg",',
+    `internalDefaults={mimetype:${JSON.stringify(MIMETYPE)},mediaKey:${JSON.stringify(MEDIA_KEY)},`
+  ));
+
+  const result = await extractProtobuf(join(dir, 'whatsapp.proto'), {
+    source: dir,
+    syntax,
+    versionFile: null,
+    archive: false,
+    cache: false,
+    force: true,
+    silent: true
+  });
+  return result.path;
+}
+
+test('string and bytes defaults are written as proto literals', async (t) => {
+  const proto = readFileSync(await extractDefaults(t, 'proto2'), 'utf8');
+
+  assert.ok(proto.includes('[default = "a\\"b\\\\c\\nd\\001é"]'));
+  assert.ok(proto.includes('[default = "k\\303\\251"]'));
+  assert.doesNotThrow(() => protobuf.parse(proto));
+});
+
+test('proto3 default annotations are read back as written', async (t) => {
+  const root = loadSchemaRoot(await extractDefaults(t, 'proto3'));
+  const image = root.lookupType('proto.Message.ImageMessage');
+
+  assert.equal(image.fields.mimetype.getOption('default'), MIMETYPE);
+  assert.equal(image.fields.mediaKey.getOption('default'), MEDIA_KEY);
+});
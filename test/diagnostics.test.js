@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIAGNOSTIC_CODES, createDiagnosticCollector } from '../src/diagnostics/index.js';
+
+test('diagnostics are logged at their severity', () => {
+  const logged = [];
+  const collector = createDiagnosticCollector({
+    info: message => logged.push(['info', message]),
+    warn: message => logged.push(['warn', message]),
+    error: message => logged.push(['error', message])
+  });
+
+  collector.report(DIAGNOSTIC_CODES.UNRESOLVED_REFERENCE, 'Unresolved reference', { entity: 'Message', field: 'key' });
+  collector.report(DIAGNOSTIC_CODES.CHUNK_UNAVAILABLE, 'Could not load chunk');
+
+  assert.deepEqual(logged, [
+    ['error', '❌ [UNRESOLVED_REFERENCE] Unresolved reference (Message.key)'],
+    ['warn', '⚠️  [CHUNK_UNAVAILABLE] Could not load chunk']
+  ]);
+  assert.equal(collector.errors().length, 1);
+  assert.equal(collector.warnings().length, 1);
+});
@@ -0,0 +1,4 @@
+__d("WAProtoConst",[],(function(a,b,c,d,e,f,g){g.TYPES={};g.FLAGS={}}),98);
+__d("WAWebProtobufsAdv.pb",["WAProtoConst","$InternalEnum"],(function(a,b,c,d,e,f,g){var h,i=b("$InternalEnum")({E2EE:0,HOSTED:1}),j={},k={},l={};j.internalSpec={rawId:[1,(h||(h=b("WAProtoConst"))).TYPES.UINT32],timestamp:[2,h.TYPES.UINT64],keyIndex:[3,h.TYPES.UINT32],accountType:[4,h.TYPES.ENUM,i],deviceType:[5,h.TYPES.ENUM,i]};k.internalSpec={rawId:[1,h.TYPES.UINT32],validIndexes:[4,h.TYPES.UINT32|h.FLAGS.REPEATED|h.FLAGS.PACKED],accountType:[5,h.TYPES.ENUM,i]};k.internalDefaults={rawId:7};l.internalSpec={details:[1,h.TYPES.BYTES|h.FLAGS.REQUIRED],hmac:[2,h.TYPES.BYTES]};g.ADVEncryptionType=i;g.ADVDeviceIdentitySpec=j;g.ADVKeyIndexListSpec=k;g.ADVSignedDeviceIdentityHMACSpec=l}),98);
+__d("WAWebProtobufsE2E.pb",["WAProtoConst","$InternalEnum","WAWebProtobufsAdv.pb"],(function(a,b,c,d,e,f,g){var h,m,i=b("$InternalEnum")({UNKNOWN:0,IMAGE:1,VIDEO:2}),j={},k={},n={},o={},p={};m=b("WAWebProtobufsAdv.pb");j.internalSpec={conversation:[1,(h||(h=b("WAProtoConst"))).TYPES.STRING],imageMessage:[3,h.TYPES.MESSAGE,k],extendedTextMessage:[6,h.TYPES.MESSAGE,n],ephemeralMessage:[40,h.TYPES.MESSAGE,o],viewOnceMessage:[37,h.TYPES.MESSAGE,o],deviceSentMessage:[31,h.TYPES.MESSAGE,p],identity:[50,h.TYPES.MESSAGE,m.ADVDeviceIdentitySpec],kind:[51,h.TYPES.ENUM,i],labels:[52,h.TYPES.MAP,[h.TYPES.STRING,h.TYPES.INT64]],__oneofs__:{content:["conversation","imageMessage"]}};k.internalSpec={url:[1,h.TYPES.STRING],mimetype:[2,h.TYPES.STRING],caption:[3,h.TYPES.STRING],fileLength:[5,h.TYPES.UINT64],mediaKey:[8,h.TYPES.BYTES],viewOnce:[9,h.TYPES.BOOL],accuracy:[10,h.TYPES.DOUBLE]};k.internalDefaults={mimetype:"image/jpeg",viewOnce:!1,accuracy:1.5};n.internalSpec={text:[1,h.TYPES.STRING],contextInfo:[17,h.TYPES.MESSAGE,n]};o.internalSpec={message:[1,h.TYPES.MESSAGE,j]};p.internalSpec={destinationJid:[1,h.TYPES.STRING],message:[2,h.TYPES.MESSAGE,j]};g.Message$MediaKind=i;g.MessageSpec=j;g.Message$ImageMessageSpec=k;g.Message$ExtendedTextMessageSpec=n;g.Message$FutureProofMessageSpec=o;g.Message$DeviceSentMessageSpec=p}),98);
+__d("SomethingElse",[],(function(a,b,c,d,e,f,g){g.foo=1}),1);
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCodecRoot } from '../src/codec/index.js';
+import { guessMessageType } from '../src/inspect/index.js';
+
+const root = await loadCodecRoot();
+
+test('a WebMessageInfo sample ranks WebMessageInfo first', () => {
+  // key { fromMe: true, id: "ABC" }, message { conversation: "hi" }, messageTimestamp, status: READ
+  const bytes = Buffer.from('0a0710011a0341424312040a0268691880e2cfaa062004', 'hex');
+  const [best, next] = guessMessageType(root, bytes);
+
+  assert.equal(best.type, 'proto.WebMessageInfo');
+  assert.equal(best.mismatched + best.unknown, 0);
+  assert.ok(best.score > next.score);
+});
+
+test('an encoded WebMessageInfo ranks WebMessageInfo first', () => {
+  const WebMessageInfo = root.lookupType('proto.WebMessageInfo');
+  const bytes = WebMessageInfo.encode(WebMessageInfo.fromObject({
+    key: { remoteJid: '5511999999999@s.whatsapp.net', fromMe: false, id: '3EB0C767D26A1B2C' },
+    message: { extendedTextMessage: { text: 'hello', contextInfo: { stanzaId: 'ABC' } } },
+    messageTimestamp: 1700000000,
+    pushName: 'Alice'
+  })).finish();
+
+  assert.equal(guessMessageType(root, bytes)[0].type, 'proto.WebMessageInfo');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPatchSet, loadPatchRules } from '../src/patches/index.js';
+
+/**
+ * Runs the model overrides of a patch set on a message renamed by it
+ * @param {Object} rules - Patch rules
+ * @returns {Object} The patched message and the unmatched rule reports
+ */
+function applyToRenamedChat(rules) {
+  const patches = createPatchSet(loadPatchRules({ entityRenames: [{ from: 'Chat', to: 'ChatInfo' }], ...rules }));
+  const name = patches.renameEntity('Chat');
+  const message = {
+    name,
+    members: [
+      { name: 'when', type: 'int64', flags: [] },
+      { name: 'last', type: 'ChatInfo$Entry', flags: [] }
+    ]
+  };
+
+  patches.applyModelOverrides({ chat: { identifiers: { [name]: message } } });
+
+  const unmatched = [];
+  patches.report({ logger: { info: () => {} }, diagnostics: { report: (code, text) => unmatched.push(text) } });
+  return { message, unmatched };
+}
+
+test('rules may name the entity as in the bundle', () => {
+  const { message, unmatched } = applyToRenamedChat({
+    fieldRenames: [{ entity: 'Chat', from: 'last', to: 'lastEntry' }],
+    typeOverrides: [{ entity: 'Chat', field: 'when', type: 'uint64' }]
+  });
+
+  assert.equal(message.name, 'ChatInfo');
+  assert.deepEqual(message.members.map(member => [member.name, member.type]), [['when', 'uint64'], ['lastEntry', 'ChatInfo$Entry']]);
+  assert.deepEqual(unmatched, []);
+});
+
+test('rules may name the entity as renamed', () => {
+  const { message, unmatched } = applyToRenamedChat({
+    typeOverrides: [{ entity: 'ChatInfo', field: 'last', type: 'Chat.Meta' }]
+  });
+
+  assert.equal(message.members[1].type, 'ChatInfo$Meta');
+  assert.deepEqual(unmatched, []);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDirectorySource } from '../src/sources/index.js';
+import { createExtractionContext, crawlChunks } from '../src/extractors/index.js';
+
+test('only the bootstrap falls back to the single saved script', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'whatsapp-proto-sources-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  writeFileSync(join(dir, 'sw.js'),
+    'self.__swData=JSON.parse("{\\"dynamic_data\\":{\\"SiteData\\":{\\"client_revision\\":1000,\\"server_revision\\":1}}}");\n' +
+    'importScripts("https://static.whatsapp.net/rsrc/bootstrap-abc.js");\n');
+  writeFileSync(join(dir, 'saved.js'), 'var chunk="https://static.whatsapp.net/rsrc/missing.js";');
+
+  const context = createExtractionContext({ versionFile: null, silent: true });
+  const metadata = {};
+  await crawlChunks(createDirectorySource(dir), metadata, context);
+
+  assert.deepEqual(metadata.chunks.map(chunk => chunk.url), ['https://static.whatsapp.net/rsrc/bootstrap-abc.js']);
+  assert.deepEqual(context.diagnostics.list().map(diagnostic => diagnostic.code), ['CHUNK_UNAVAILABLE']);
+  assert.match(context.diagnostics.list()[0].message, /missing\.js/);
+});
@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWatcher } from '../src/watch/index.js';
+
+const BUNDLE = readFileSync(new URL('./fixtures/bootstrap.js', import.meta.url), 'utf8');
+
+// The second release adds a field, so there is a diff to write
+const BUNDLES = {
+  1000: BUNDLE,
+  1001: BUNDLE.replace('hmac:[2,h.TYPES.BYTES]', 'hmac:[2,h.TYPES.BYTES],accountSignature:[3,h.TYPES.BYTES]')
+};
+
+const workDir = mkdtempSync(join(tmpdir(), 'whatsapp-proto-watch-'));
+const hookFile = join(workDir, 'hook.json');
+const webhooks = [];
+let revision = 1000;
+let server;
+let baseURL;
+
+/**
+ * Local stand-in of WhatsApp Web: the service worker of the current revision,
+ * its bundle, and a webhook receiver
+ */
+before(async () => {
+  server = createServer((request, response) => {
+    if (request.method === 'POST' && request.url === '/webhook') {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        webhooks.push(JSON.parse(body));
+        response.end();
+      });
+      return;
+    }
+
+    if (request.url === '/sw.js') {
+      const data = JSON.stringify({ dynamic_data: { SiteData: { client_revision: revision, server_revision: 1 } } });
+      response.end(`self.__swData=JSON.parse(${JSON.stringify(data)});\n` +
+        `importScripts("${baseURL}/bootstrap-${revision}.js");\n`);
+      return;
+    }
+
+    const bundle = request.url.match(/^\/bootstrap-(\d+)\.js$/);
+    if (bundle && BUNDLES[bundle[1]]) {
+      response.end(BUNDLES[bundle[1]]);
+      return;
+    }
+
+    response.statusCode = 404;
+    response.end();
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+const createTestWatcher = () => createWatcher({
+  baseURL,
+  outputPath: join(workDir, 'proto', 'whatsapp.proto'),
+  cacheDir: join(workDir, 'cache'),
+  diffDir: join(workDir, 'diffs'),
+  versionFile: null,
+  archive: false,
+  cache: false,
+  compile: false,
+  silent: true,
+  retryAttempts: 1,
+  hook: `${JSON.stringify(process.execPath)} -e "require('fs').writeFileSync(process.argv[1], JSON.stringify(process.env))" ${JSON.stringify(hookFile)}`,
+  webhook: `${baseURL}/webhook`
+});
+
+test('releases are detected, diffed and announced', async () => {
+  const watcher = createTestWatcher();
+  const checks = [];
+  watcher.on('check', event => checks.push(event));
+
+  const first = await watcher.check();
+  assert.equal(first.version, '2.3000.1000');
+  assert.equal(first.previousRevision, null);
+  assert.equal(first.diff, null);
+
+  assert.equal(await watcher.check(), null);
+  assert.deepEqual(checks.map(check => check.changed), [true, false]);
+
+  revision = 1001;
+  const second = await watcher.check();
+  assert.equal(second.version, '2.3000.1001');
+  assert.equal(second.previousRevision, 1000);
+  assert.equal(second.path, join(workDir, 'proto', 'whatsapp.proto'));
+
+  assert.equal(second.diffPath, join(workDir, 'diffs', '2.3000.1000..2.3000.1001.json'));
+  assert.ok(existsSync(second.diffPath));
+  assert.ok(existsSync(second.diffPath.replace(/\.json$/, '.txt')));
+  assert.ok(second.diff.summary.total > 0);
+
+  const env = JSON.parse(readFileSync(hookFile, 'utf8'));
+  assert.equal(env.WA_VERSION, '2.3000.1001');
+  assert.equal(env.WA_CLIENT_REVISION, '1001');
+  assert.equal(env.WA_PREVIOUS_REVISION, '1000');
+  assert.equal(env.WA_SCHEMA_PATH, second.path);
+  assert.equal(env.WA_DIFF_PATH, second.diffPath);
+  assert.equal(env.WA_BREAKING_CHANGES, String(second.diff.summary.breaking));
+
+  assert.equal(webhooks.length, 2);
+  assert.deepEqual(webhooks[1], {
+    event: 'release',
+    version: '2.3000.1001',
+    revision: 1001,
+    previousRevision: 1000,
+    path: second.path,
+    diffPath: second.diffPath,
+    summary: second.diff.summary,
+    entities: second.result.entities.length
+  });
+});
+
+test('an overlapping check reports the watcher busy', async () => {
+  const watcher = createTestWatcher();
+  const checks = [];
+  watcher.on('check', event => checks.push(event));
+
+  const [result, overlapping] = await Promise.all([watcher.check(), watcher.check()]);
+  assert.equal(overlapping, null);
+  assert.equal(result, null);
+  assert.deepEqual(checks.map(check => check.busy), [true, false]);
+});